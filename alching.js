@@ -0,0 +1,78 @@
+import { fetchItemMapping, fetchLatestPrices, fetchHourlyPrices } from './prices.js';
+
+// High alchemy profits: buy an item at the instant-buy price and cast High
+// Level Alchemy on it, paying one nature rune per cast
+
+const NATURE_RUNE_ID = 561;
+// One cast every 5 ticks (3 seconds)
+const ALCHS_PER_HOUR = 1200;
+const BUY_LIMIT_HOURS = 4;
+// Ignore prices whose last trade is older than this
+const STALE_PRICE_AGE = 60 * 60; // 1 hour, in seconds
+
+/**
+ * Alch profit for one mapping item, or null if it can't be alched or has no
+ * instant-buy price. quantity is how many can realistically be bought and
+ * alched in one buy-limit window: capped by the limit, by four hours of
+ * casting, and by four times the last hour's traded volume.
+ * Returns { buy, highAlch, natureRune, profit, limit, volume, quantity,
+ * windowProfit, lastTrade }.
+ */
+export function calculateAlchProfit(item, priceData, hourlyData, natureRunePrice) {
+  if (!item.highalch || !priceData?.high) return null;
+
+  const buy = priceData.high;
+  const profit = item.highalch - buy - natureRunePrice;
+  const limit = item.limit || null;
+  const volume = (hourlyData?.highPriceVolume || 0) + (hourlyData?.lowPriceVolume || 0);
+  const quantity = Math.min(limit ?? Infinity, volume * BUY_LIMIT_HOURS, ALCHS_PER_HOUR * BUY_LIMIT_HOURS);
+
+  return {
+    buy,
+    highAlch: item.highalch,
+    natureRune: natureRunePrice,
+    profit,
+    limit,
+    volume,
+    quantity,
+    windowProfit: profit * quantity,
+    lastTrade: priceData.highTime || 0,
+  };
+}
+
+// Current prices plus the nature rune cost every calculation needs
+async function fetchAlchPrices() {
+  const [latest, hourly] = await Promise.all([fetchLatestPrices(), fetchHourlyPrices()]);
+  const natureRune = latest[NATURE_RUNE_ID]?.high;
+  if (!natureRune) {
+    throw new Error('No nature rune price available');
+  }
+  return { latest, hourly, natureRune };
+}
+
+// Alch profit for a single item at current prices, or null if it can't be alched
+export async function getItemAlch(item) {
+  const { latest, hourly, natureRune } = await fetchAlchPrices();
+  return calculateAlchProfit(item, latest[item.id], hourly[item.id], natureRune);
+}
+
+/**
+ * Rank items by total alch profit over one buy-limit window. minVolume drops
+ * items trading fewer than that many per hour; stale prices and losing alchs
+ * are skipped. Returns { natureRune, alchs: [{ item, ...profit }] }, best first.
+ */
+export async function findAlchs({ minVolume = 0, count = 10 } = {}) {
+  const [items, { latest, hourly, natureRune }] = await Promise.all([fetchItemMapping(), fetchAlchPrices()]);
+  const cutoff = Date.now() / 1000 - STALE_PRICE_AGE;
+  const alchs = [];
+
+  for (const item of items) {
+    const alch = calculateAlchProfit(item, latest[item.id], hourly[item.id], natureRune);
+    if (!alch || alch.profit <= 0 || alch.quantity < 1) continue;
+    if (alch.lastTrade < cutoff || alch.volume < minVolume) continue;
+    alchs.push({ item, ...alch });
+  }
+
+  alchs.sort((a, b) => b.windowProfit - a.windowProfit);
+  return { natureRune, alchs: alchs.slice(0, count) };
+}
@@ -6,11 +6,28 @@ import {
   InteractionResponseFlags,
   MessageComponentTypes,
   ButtonStyleTypes,
+  TextStyleTypes,
   verifyKeyMiddleware,
 } from 'discord-interactions';
 import { getRandomEmoji, DiscordRequest } from './utils.js';
+import { flushSaves } from './jsonStore.js';
 import { getShuffledOptions, getResult } from './game.js';
-import { simulateKills } from './dropSimulator.js';
+import { simulateKills, simulateCompletion, loadDropData, refreshDropData, purgeDropData } from './dropSimulator.js';
+import { findItemChance, calculateDryness, formatChance } from './dropStats.js';
+import { simulateRaids } from './raidSimulator.js';
+import { recordKills, getBank, getCollectionLog, resetPlayer } from './bank.js';
+import { recordRun, getLeaderboard } from './leaderboard.js';
+import { suggestMonsters } from './monsters.js';
+import { watchMonsterDefinitions } from './monsterDefinitions.js';
+import { createLootView, getLootView, renderLootPage } from './lootView.js';
+import { fetchLatestPrices, fetchHourlyPrices, getItemValue, priceLoot, formatGp } from './prices.js';
+import { calculateMargin, findFlips } from './margins.js';
+import { getItemAlch, findAlchs } from './alching.js';
+import { valueItemList, valuationCsv } from './valuation.js';
+import { resolveItem, getItemById, searchItems, findItemsInText, startItemIndexRefresh } from './itemIndex.js';
+import { getPriceHistory } from './priceHistory.js';
+import { renderLineChart, sparkline } from './priceChart.js';
+import { createAlert, listAlerts, deleteAlert, describeAlert, botCanPostIn, startAlertPoller } from './priceAlerts.js';
 
 // Create an express app
 const app = express();
@@ -20,6 +37,204 @@ const PORT = process.env.PORT || 3000;
 // Store for in-progress games. In production, you'd want to use a DB
 const activeGames = {};
 
+// Unique drops listed under a /kill result before the rest are summarised
+const MAX_LISTED_UNIQUES = 15;
+
+// Items (and unmatched lines) listed in a /value or Price check reply before the rest are summarised
+const MAX_VALUED_ITEMS = 25;
+const MAX_UNRESOLVED_LINES = 10;
+
+// How long a deferred command may work before its reply is replaced with a timeout error
+const DEFERRED_TIMEOUT = 60 * 1000;
+
+// SEND_MESSAGES bit of a Discord permission set
+const SEND_MESSAGES_PERMISSION = 1n << 11n;
+
+// Drop-rate modifiers (slayer task, ring of wealth, ...) from a command's options
+function modifierOptions(getOption) {
+  return {
+    onTask: getOption('on_task'),
+    konar: getOption('konar'),
+    ringOfWealth: getOption('ring_of_wealth'),
+    wilderness: getOption('wilderness'),
+    caTier: getOption('ca_tier'),
+  };
+}
+
+// Message payload with a single text display
+function textMessage(content) {
+  return {
+    flags: InteractionResponseFlags.IS_COMPONENTS_V2,
+    components: [
+      {
+        type: MessageComponentTypes.TEXT_DISPLAY,
+        content
+      }
+    ]
+  };
+}
+
+// Price summary for one item from the latest GE prices
+async function itemPriceContent(item) {
+  const [latestPrices, hourlyPrices] = await Promise.all([fetchLatestPrices(), fetchHourlyPrices()]);
+  const itemData = latestPrices[item.id];
+  
+  if (!itemData) {
+    return `📊 **${item.name}**\n> No active trades found on Grand Exchange`;
+  }
+  
+  // Format the price message
+  const formatPrice = (num) => num ? num.toLocaleString() : 'N/A';
+  const highPrice = formatPrice(itemData.high);
+  const lowPrice = formatPrice(itemData.low);
+  const avgPrice = itemData.high && itemData.low ? 
+    formatPrice(getItemValue(itemData)) : 'N/A';
+  
+  let content = `📊 **${item.name}**\n💰 **Buy:** ${highPrice} gp\n💵 **Sell:** ${lowPrice} gp\n📈 **Avg:** ${avgPrice} gp`;
+  
+  // Flipping view: spread after GE tax, and how much a buy limit could make
+  const margin = calculateMargin(item, itemData, hourlyPrices[item.id]);
+  if (margin) {
+    content += `\n\n💹 **Margin:** ${margin.margin.toLocaleString()} gp after ${margin.tax.toLocaleString()} gp tax ` +
+      `(${margin.roi.toFixed(2)}% ROI)` +
+      `\n📦 **Buy limit:** ${formatPrice(margin.limit)} · **1h volume:** ${margin.volume.toLocaleString()}`;
+    if (margin.limitProfit !== null) {
+      content += `\n🧮 **Per buy limit (4h):** ${formatGp(margin.limitProfit)} gp`;
+    }
+  }
+  
+  return content;
+}
+
+/**
+ * /itemprice reply, with a select menu of candidate items when the lookup was
+ * ambiguous. The candidate IDs ride along in the custom ID so a selection can
+ * redraw the same menu without storing anything.
+ */
+function itemPriceMessage(content, candidates, selected = null) {
+  const message = textMessage(content);
+  if (candidates.length > 1) {
+    message.components.push({
+      type: MessageComponentTypes.ACTION_ROW,
+      components: [
+        {
+          type: MessageComponentTypes.STRING_SELECT,
+          custom_id: `itemprice_select_${candidates.map(c => c.id).join('-')}`,
+          placeholder: 'Choose an item',
+          options: candidates.map(candidate => ({
+            label: candidate.name.slice(0, 100),
+            value: String(candidate.id),
+            default: selected !== null && candidate.id === selected.id,
+          })),
+        },
+      ],
+    });
+  }
+  return message;
+}
+
+/**
+ * /value reply for a pasted item list: the most valuable items, the total, and
+ * any lines that couldn't be matched. With csv set, the full breakdown is
+ * attached as a CSV file.
+ */
+async function valuationMessage(list, csv) {
+  const valuation = await valueItemList(list);
+  const { items, total, unresolved } = valuation;
+  
+  if (items.length === 0 && unresolved.length === 0) {
+    return textMessage('❌ No items found in that list.');
+  }
+  
+  let content;
+  if (items.length === 0) {
+    content = '❌ None of those lines matched an item.';
+  } else {
+    const shown = items.slice(0, MAX_VALUED_ITEMS).map(i => {
+      const value = i.price !== null ? `${formatGp(i.value)} gp` : i.tradeable ? 'no recent price' : 'untradeable';
+      return `${i.quantity.toLocaleString()}x ${i.item} — ${value}`;
+    });
+    content = `💰 **Valuation** (${items.length} items)\n\n${shown.join('\n')}`;
+    if (items.length > shown.length) {
+      content += `\n…and ${items.length - shown.length} more`;
+    }
+    content += `\n\n💰 **Total value:** ${formatGp(total)} gp (${total.toLocaleString()} gp)`;
+  }
+  
+  if (unresolved.length > 0) {
+    const lines = unresolved.slice(0, MAX_UNRESOLVED_LINES).map(u => {
+      const hint = u.suggestion ? ` (did you mean ${u.suggestion}?)` : '';
+      return `• ${u.line.slice(0, 100)}${hint}`;
+    });
+    content += `\n\n❓ **Couldn't match ${unresolved.length} line${unresolved.length === 1 ? '' : 's'}:**\n${lines.join('\n')}`;
+    if (unresolved.length > lines.length) {
+      content += `\n…and ${unresolved.length - lines.length} more`;
+    }
+  }
+  
+  const message = textMessage(content);
+  if (csv && items.length > 0) {
+    // Components V2 messages only show attachments placed in a file component
+    message.components.push({
+      type: MessageComponentTypes.FILE,
+      file: { url: 'attachment://valuation.csv' },
+    });
+    message.attachments = [{ id: 0, filename: 'valuation.csv' }];
+    message.files = [{ name: 'valuation.csv', data: Buffer.from(valuationCsv(valuation)), contentType: 'text/csv' }];
+  }
+  return message;
+}
+
+/**
+ * Acknowledge an interaction straight away with a deferred response ("Bot is
+ * thinking..."), then edit the original response with the message work()
+ * resolves to (which may carry `files` to attach). Failures and timeouts edit
+ * in errorContent instead, so the interaction never hangs. work receives an
+ * AbortSignal that fires on timeout. Component interactions are deferred as
+ * updates to their own message; pass { ephemeral: true } for a reply only the
+ * user can see.
+ */
+async function sendDeferred(req, res, work, errorContent, { ephemeral = false } = {}) {
+  // Components edit the message they're attached to rather than posting a new one
+  await res.send({
+    type: req.body.type === InteractionType.MESSAGE_COMPONENT
+      ? InteractionResponseType.DEFERRED_UPDATE_MESSAGE
+      : InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: ephemeral ? { flags: InteractionResponseFlags.EPHEMERAL } : undefined,
+  });
+
+  let message;
+  let timer;
+  const controller = new AbortController();
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${DEFERRED_TIMEOUT / 1000}s`);
+        error.timedOut = true;
+        controller.abort();
+        reject(error);
+      }, DEFERRED_TIMEOUT);
+    });
+    message = await Promise.race([work(controller.signal), timeout]);
+  } catch (error) {
+    console.error(`Error in ${req.body.data.name || req.body.data.custom_id} interaction:`, error);
+    message = textMessage(error.timedOut
+      ? '⏱️ That took too long. Please try again in a moment.'
+      : errorContent);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Edit the deferred "thinking" message with the final reply (and any attached files)
+  const endpoint = `webhooks/${process.env.APP_ID}/${req.body.token}/messages/@original`;
+  const { files, ...body } = message;
+  try {
+    await DiscordRequest(endpoint, { method: 'PATCH', body, files });
+  } catch (err) {
+    console.error('Error editing deferred response:', err);
+  }
+}
+
 /**
  * Interactions endpoint URL where Discord will send HTTP requests
  * Parse request body and verifies incoming requests using discord-interactions package
@@ -35,6 +250,34 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
     return res.send({ type: InteractionResponseType.PONG });
   }
 
+  /**
+   * Handle autocomplete requests
+   * See https://discord.com/developers/docs/interactions/application-commands#autocomplete
+   */
+  if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+    // The option the user is currently typing in (inside the subcommand, if any)
+    const options = data.options[0]?.type === 1 ? data.options[0].options : data.options;
+    const focused = options.find(o => o.focused);
+    let choices = [];
+
+    if (focused && focused.name === 'boss') {
+      choices = suggestMonsters(String(focused.value));
+    } else if (focused && focused.name === 'item') {
+      // Only GE item options have autocomplete enabled
+      try {
+        const items = await searchItems(String(focused.value));
+        choices = items.map(item => ({ name: item.name, value: item.name }));
+      } catch (error) {
+        console.error('Error suggesting items:', error);
+      }
+    }
+
+    return res.send({
+      type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+      data: { choices },
+    });
+  }
+
   /**
    * Handle slash command requests
    * See https://discord.com/developers/docs/interactions/application-commands#slash-commands
@@ -88,175 +331,713 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
     if (name === 'itemprice') {
       const itemName = data.options[0].value;
       
-      try {
-        // Search for item ID using OSRS Wiki API
-        const searchUrl = `https://prices.runescape.wiki/api/v1/osrs/mapping`;
-        const searchResponse = await fetch(searchUrl);
-        const items = await searchResponse.json();
+      // Wiki and price lookups can outlast Discord's 3-second deadline, so reply later
+      return sendDeferred(req, res, async () => {
+        // Best fuzzy match from the cached item index ("bgs", "dragon warhamer", ...)
+        const { item, exact, candidates } = await resolveItem(itemName);
+        
+        if (!item) {
+          return textMessage(`❌ Could not find item: "${itemName}"`);
+        }
         
-        // Find item by name (case insensitive)
-        const item = items.find(i => 
-          i.name.toLowerCase() === itemName.toLowerCase() ||
-          i.name.toLowerCase().includes(itemName.toLowerCase())
-        );
+        // Several items fit equally well, so ask rather than guess
+        if (!exact && candidates.length > 0) {
+          return itemPriceMessage(`🔎 Several items match "${itemName}". Which one did you mean?`, candidates);
+        }
         
+        // Exact matches still offer their variants (e.g. poisoned weapons)
+        return itemPriceMessage(await itemPriceContent(item), candidates, item);
+      }, '❌ Error fetching price data. Please try again later.');
+    }
+
+    // "pricehistory" command
+    if (name === 'pricehistory') {
+      const getOption = (optionName) => data.options.find(o => o.name === optionName)?.value;
+      const itemName = getOption('item');
+      
+      return sendDeferred(req, res, async () => {
+        const { item } = await resolveItem(itemName);
         if (!item) {
-          return res.send({
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-              components: [
-                {
-                  type: MessageComponentTypes.TEXT_DISPLAY,
-                  content: `❌ Could not find item: "${itemName}"`
-                }
-              ]
-            },
-          });
+          return textMessage(`❌ Could not find item: "${itemName}"`);
         }
         
-        // Get latest price data
-        const priceUrl = `https://prices.runescape.wiki/api/v1/osrs/latest?id=${item.id}`;
-        const priceResponse = await fetch(priceUrl);
-        const priceData = await priceResponse.json();
-        const itemData = priceData.data[item.id];
+        const history = await getPriceHistory(item.id, getOption('period'));
+        if (history.latest === null) {
+          return textMessage(`📊 **${item.name}**\n> No trades in the last ${history.period.label}`);
+        }
         
-        if (!itemData) {
-          return res.send({
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-              components: [
-                {
-                  type: MessageComponentTypes.TEXT_DISPLAY,
-                  content: `📊 **${item.name}**\n> No active trades found on Grand Exchange`
-                }
-              ]
-            },
-          });
+        const formatChange = (change) => {
+          if (!change) return 'N/A';
+          const arrow = change.change > 0 ? '📈' : change.change < 0 ? '📉' : '➖';
+          const sign = change.change > 0 ? '+' : '';
+          return `${arrow} ${sign}${formatGp(change.change)} gp (${sign}${change.percent.toFixed(1)}%)`;
+        };
+        const traded = [...history.high, ...history.low].filter(v => v !== null);
+        
+        let content = `📊 **${item.name}** — last ${history.period.label}\n` +
+          `💰 **Now:** ${formatGp(history.latest)} gp\n` +
+          `⏱️ **24h:** ${formatChange(history.changes['24h'])}\n` +
+          `📅 **7d:** ${formatChange(history.changes['7d'])}\n` +
+          `🗓️ **30d:** ${formatChange(history.changes['30d'])}\n` +
+          `🔻 **Low:** ${formatGp(Math.min(...traded))} gp · 🔺 **High:** ${formatGp(Math.max(...traded))} gp\n` +
+          `📦 **Volume:** ${history.volume.toLocaleString()} traded`;
+        
+        // Chart as an attached image; a text sparkline if rendering fails
+        let chart = null;
+        try {
+          chart = renderLineChart([
+            { values: history.high, color: 'high' },
+            { values: history.low, color: 'low' },
+          ]);
+        } catch (error) {
+          console.error('Error rendering price chart:', error);
         }
         
-        // Format the price message
-        const formatPrice = (num) => num ? num.toLocaleString() : 'N/A';
-        const highPrice = formatPrice(itemData.high);
-        const lowPrice = formatPrice(itemData.low);
-        const avgPrice = itemData.high && itemData.low ? 
-          formatPrice(Math.floor((itemData.high + itemData.low) / 2)) : 'N/A';
+        if (!chart) {
+          const mid = history.high.map((high, i) => high && history.low[i] ? (high + history.low[i]) / 2 : high || history.low[i]);
+          return textMessage(`${content}\n\n\`${sparkline(mid)}\``);
+        }
         
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-            components: [
-              {
-                type: MessageComponentTypes.TEXT_DISPLAY,
-                content: `📊 **${item.name}**\n💰 **Buy:** ${highPrice} gp\n💵 **Sell:** ${lowPrice} gp\n📈 **Avg:** ${avgPrice} gp`
-              }
-            ]
-          },
+        const message = textMessage(`${content}\n🟩 Buy price · 🟦 Sell price`);
+        message.components.push({
+          type: MessageComponentTypes.MEDIA_GALLERY,
+          items: [{ media: { url: 'attachment://chart.png' } }],
         });
-      } catch (error) {
-        console.error('Error fetching OSRS price:', error);
+        message.attachments = [{ id: 0, filename: 'chart.png' }];
+        message.files = [{ name: 'chart.png', data: chart, contentType: 'image/png' }];
+        return message;
+      }, '❌ Error fetching price history. Please try again later.');
+    }
+
+    // "alert" command
+    if (name === 'alert') {
+      const subcommand = data.options[0];
+      const getOption = (optionName) => subcommand.options?.find(o => o.name === optionName)?.value;
+      const userId = req.body.context === 0 ? req.body.member.user.id : req.body.user.id;
+
+      return sendDeferred(req, res, async () => {
+        if (subcommand.name === 'list') {
+          const alerts = listAlerts(userId);
+          if (alerts.length === 0) {
+            return textMessage('🔕 You have no price alerts. Create one with `/alert create`.');
+          }
+
+          const lines = alerts.map(alert => {
+            const where = alert.delivery.type === 'channel' ? `<#${alert.delivery.channelId}>` : 'DM';
+            return `\`#${alert.id}\` ${describeAlert(alert)} → ${where}`;
+          });
+          return textMessage(`🔔 **Your price alerts**\n\n${lines.join('\n')}`);
+        }
+
+        if (subcommand.name === 'delete') {
+          const alertId = getOption('id');
+          return textMessage(deleteAlert(userId, alertId)
+            ? `🗑️ Deleted alert \`#${alertId}\``
+            : `❌ You have no alert \`#${alertId}\`. See \`/alert list\` for your alerts.`);
+        }
+
+        const itemName = getOption('item');
+        const { item, exact, candidates } = await resolveItem(itemName);
+        if (!item) {
+          return textMessage(`❌ Could not find item: "${itemName}"`);
+        }
+        if (!exact && candidates.length > 0) {
+          const names = candidates.map(candidate => `• ${candidate.name}`).join('\n');
+          return textMessage(`🔎 Several items match "${itemName}". Pick one from the suggestions:\n${names}`);
+        }
+
+        // Channel alerts need both the user and the bot to be able to post there
+        const channelId = getOption('channel');
+        if (channelId) {
+          const permissions = BigInt(data.resolved?.channels?.[channelId]?.permissions || 0);
+          if (!(permissions & SEND_MESSAGES_PERMISSION)) {
+            return textMessage(`❌ You can't send messages in <#${channelId}>.`);
+          }
+          // Failing to read the channel or guild (e.g. the bot isn't in the server) means it can't post either
+          const botCanPost = await botCanPostIn(req.body.guild_id, channelId).catch(error => {
+            console.error('Error checking alert channel permissions:', error);
+            return false;
+          });
+          if (!botCanPost) {
+            return textMessage(`❌ I can't send messages in <#${channelId}>. Check my permissions there, or get alerts by DM instead.`);
+          }
+        }
+
+        const result = createAlert(userId, {
+          item,
+          direction: getOption('direction'),
+          threshold: getOption('price'),
+          side: getOption('side') || 'buy',
+          delivery: channelId ? { type: 'channel', channelId } : { type: 'dm' },
+        });
+        if (result.error) {
+          return textMessage(`❌ ${result.error}`);
+        }
+
+        const where = channelId ? `in <#${channelId}>` : 'by DM';
+        return textMessage(`🔔 Alert \`#${result.alert.id}\` set: ${describeAlert(result.alert)}. I'll notify you ${where}.`);
+      }, '❌ Error updating price alerts. Please try again later.', { ephemeral: true });
+    }
+
+    // "flips" command
+    if (name === 'flips') {
+      const getOption = (optionName) => data.options?.find(o => o.name === optionName)?.value;
+      const minVolume = getOption('min_volume') || 0;
+      const maxCapital = getOption('max_capital') || null;
+      
+      return sendDeferred(req, res, async () => {
+        const flips = await findFlips({ minVolume, maxCapital });
+        
+        const filters = [
+          minVolume ? `≥${minVolume.toLocaleString()}/h volume` : null,
+          maxCapital ? `≤${formatGp(maxCapital)} gp capital` : null,
+        ].filter(Boolean);
+        let content = `💹 **Best flips right now**${filters.length > 0 ? ` (${filters.join(', ')})` : ''}\n\n`;
+        
+        if (flips.length === 0) {
+          return textMessage(`${content}No profitable flips match those filters.`);
+        }
+        
+        content += flips.map((flip, i) =>
+          `**${i + 1}. ${flip.item.name}** — ${formatGp(flip.margin)} gp margin (${flip.roi.toFixed(2)}%)\n` +
+          `> Buy ${flip.buy.toLocaleString()} · Sell ${flip.sell.toLocaleString()} · ` +
+          `${flip.quantity.toLocaleString()}/${flip.limit.toLocaleString()} limit · ${flip.volume.toLocaleString()}/h\n` +
+          `> 💰 **${formatGp(flip.profit)} gp** profit on ${formatGp(flip.capital)} gp`
+        ).join('\n');
+        content += '\n\n-# Instant-sell to instant-buy after 2% GE tax, per 4-hour buy limit';
+        
+        return textMessage(content);
+      }, '❌ Error fetching price data. Please try again later.');
+    }
+    
+    // "alch" command
+    if (name === 'alch') {
+      const getOption = (optionName) => data.options?.find(o => o.name === optionName)?.value;
+      const itemName = getOption('item');
+      const minVolume = getOption('min_volume') || 0;
+      
+      return sendDeferred(req, res, async () => {
+        // Single-item mode
+        if (itemName) {
+          const { item } = await resolveItem(itemName);
+          if (!item) {
+            return textMessage(`❌ Could not find item: "${itemName}"`);
+          }
+          
+          const alch = await getItemAlch(item);
+          if (!alch) {
+            return textMessage(item.highalch
+              ? `🔥 **${item.name}**\n> No active trades found on Grand Exchange`
+              : `🔥 **${item.name}** can't be high alched`);
+          }
+          
+          const profitEmoji = alch.profit > 0 ? '📈' : '📉';
+          let content = `🔥 **${item.name}** — High Level Alchemy\n` +
+            `💎 **Alch value:** ${alch.highAlch.toLocaleString()} gp\n` +
+            `💰 **Buy:** ${alch.buy.toLocaleString()} gp · 🌿 **Nature rune:** ${alch.natureRune.toLocaleString()} gp\n` +
+            `${profitEmoji} **Profit:** ${alch.profit.toLocaleString()} gp per cast\n` +
+            `📦 **Buy limit:** ${alch.limit ? alch.limit.toLocaleString() : 'N/A'} · **1h volume:** ${alch.volume.toLocaleString()}`;
+          if (alch.profit > 0 && alch.quantity > 0) {
+            content += `\n🧮 **Per buy limit (4h):** ${formatGp(alch.windowProfit)} gp from ${alch.quantity.toLocaleString()} casts`;
+          }
+          return textMessage(content);
+        }
+        
+        const { natureRune, alchs } = await findAlchs({ minVolume });
+        let content = `🔥 **Best high alchs right now**${minVolume ? ` (≥${minVolume.toLocaleString()}/h volume)` : ''}\n` +
+          `🌿 Nature rune: ${natureRune.toLocaleString()} gp\n\n`;
+        
+        if (alchs.length === 0) {
+          return textMessage(`${content}No profitable alchs match those filters.`);
+        }
+        
+        content += alchs.map((alch, i) =>
+          `**${i + 1}. ${alch.item.name}** — ${alch.profit.toLocaleString()} gp per cast\n` +
+          `> Buy ${alch.buy.toLocaleString()} · Alch ${alch.highAlch.toLocaleString()} · ` +
+          `limit ${alch.limit ? alch.limit.toLocaleString() : 'N/A'} · ${alch.volume.toLocaleString()}/h\n` +
+          `> 💰 **${formatGp(alch.windowProfit)} gp** from ${alch.quantity.toLocaleString()} casts`
+        ).join('\n');
+        content += '\n\n-# Bought at the instant-buy price, per 4-hour buy limit, capped by recent volume and casting speed';
+        
+        return textMessage(content);
+      }, '❌ Error fetching price data. Please try again later.');
+    }
+    
+    // "value" command
+    if (name === 'value') {
+      const getOption = (optionName) => data.options?.find(o => o.name === optionName)?.value;
+      const list = getOption('items');
+      const csv = Boolean(getOption('csv'));
+      
+      // Multi-line lists don't fit in a slash command option, so ask for one in a modal
+      if (!list) {
         return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          type: InteractionResponseType.MODAL,
           data: {
-            flags: InteractionResponseFlags.IS_COMPONENTS_V2,
+            custom_id: `value_modal_${csv ? 'csv' : 'text'}`,
+            title: 'Value an item list',
             components: [
               {
-                type: MessageComponentTypes.TEXT_DISPLAY,
-                content: `❌ Error fetching price data. Please try again later.`
-              }
-            ]
+                type: MessageComponentTypes.ACTION_ROW,
+                components: [
+                  {
+                    type: MessageComponentTypes.INPUT_TEXT,
+                    custom_id: 'items',
+                    style: TextStyleTypes.PARAGRAPH,
+                    label: 'Items, one per line',
+                    placeholder: '5x Abyssal whip\nDragon bones x 120\n(or paste a RuneLite export)',
+                    required: true,
+                    max_length: 4000,
+                  },
+                ],
+              },
+            ],
           },
         });
       }
+      
+      return sendDeferred(req, res, () => valuationMessage(list, csv),
+        '❌ Error valuing that list. Please try again later.');
     }
-
+    
+    // "Price check" message context menu command
+    if (name === 'Price check') {
+      const message = data.resolved.messages[data.target_id];
+      
+      return sendDeferred(req, res, async () => {
+        const mentions = await findItemsInText(message.content || '');
+        if (mentions.length === 0) {
+          return textMessage('🔍 No item names found in that message.');
+        }
+        
+        // The same item mentioned twice is counted together
+        const loot = {};
+        for (const { item, quantity } of mentions) {
+          loot[item.name] = (loot[item.name] || 0) + quantity;
+        }
+        const { items, total } = await priceLoot(loot);
+        
+        const lines = items.slice(0, MAX_VALUED_ITEMS).map(i => {
+          if (i.price === null) return `• **${i.item}** — ${i.tradeable ? 'no recent GE trades' : 'not traded on the GE'}`;
+          const each = i.quantity > 1 ? ` (${formatGp(i.price)} gp each)` : '';
+          const quantity = i.quantity > 1 ? `${i.quantity.toLocaleString()}x ` : '';
+          return `• **${quantity}${i.item}** — ${formatGp(i.value)} gp${each}`;
+        });
+        
+        let content = `🔍 **Price check**\n\n${lines.join('\n')}`;
+        if (items.length > lines.length) {
+          content += `\n…and ${items.length - lines.length} more`;
+        }
+        if (items.length > 1) {
+          content += `\n\n💰 **Total:** ${formatGp(total)} gp`;
+        }
+        return textMessage(content);
+      }, '❌ Error fetching price data. Please try again later.', { ephemeral: true });
+    }
+    
     // "kill" command
     if (name === 'kill') {
-      const killCount = data.options[0].value;
-      const bossName = data.options[1].value;
+      const getOption = (optionName) => data.options.find(o => o.name === optionName)?.value;
+      const killCount = getOption('count');
+      const bossName = getOption('boss');
+      const modifiers = modifierOptions(getOption);
       
-      try {
-        // Simulate kills with caching
-        const result = await simulateKills(bossName, killCount);
+      // Wiki and price lookups can outlast Discord's 3-second deadline, so reply later
+      return sendDeferred(req, res, async (signal) => {
+        // Simulate kills with caching, replaying a previous run if a seed is given
+        const result = await simulateKills(bossName, killCount, { seed: getOption('seed'), modifiers, signal });
         
         if (result.error) {
-          return res.send({
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-              components: [
-                {
-                  type: MessageComponentTypes.TEXT_DISPLAY,
-                  content: `❌ ${result.error}`
-                }
-              ]
-            },
-          });
+          return textMessage(`❌ ${result.error}`);
         }
         
-        // Format loot display
-        const lootItems = Object.entries(result.loot)
-          .sort((a, b) => b[1] - a[1]) // Sort by quantity
-          .map(([item, qty]) => {
-            // Check if this is a unique drop
-            const isUnique = result.uniqueDrops && result.uniqueDrops.some(r => r.item === item);
-            const prefix = isUnique ? '🌟 ' : '';
-            return `${prefix}${qty}x ${item}`;
-          });
+        // Keep the loot in the user's simulated bank and collection log. Replays of a
+        // chosen seed are left out, so a known lucky seed can't farm the bank or boards
+        const replayed = getOption('seed') !== undefined;
+        if (!replayed) {
+          // User ID is in user field for (G)DMs, and member for servers
+          const userId = req.body.context === 0 ? req.body.member.user.id : req.body.user.id;
+          recordKills(userId, result);
+          // Server leaderboards only make sense inside a guild
+          if (req.body.guild_id) {
+            recordRun(req.body.guild_id, userId, result);
+          }
+        }
         
-        // Build message
-        let message = `🎮 **${result.killCount}x ${result.monsterName} kills**\n\n`;
+        // Price the loot at current GE values (the simulation is still shown if this fails)
+        let valuation = null;
+        try {
+          valuation = await priceLoot(result.loot);
+        } catch (error) {
+          console.error('Error pricing loot:', error);
+        }
+        const pricedItems = valuation ? new Map(valuation.items.map(p => [p.item, p])) : null;
+        const uniqueItems = new Set((result.uniqueDrops || []).map(drop => drop.item));
         
-        if (lootItems.length === 0) {
-          message += "No loot (extremely unlucky!)";
-        } else {
-          // Show ALL items (no truncation)
-          message += lootItems.join('\n');
+        const items = Object.entries(result.loot).map(([item, quantity]) => {
+          const priced = pricedItems && pricedItems.get(item);
+          return {
+            item,
+            quantity,
+            value: priced ? priced.value : 0,
+            price: priced ? priced.price : null,
+            tradeable: priced ? priced.tradeable : false,
+            unique: uniqueItems.has(item),
+          };
+        });
+        
+        // Header shown above every page
+        let header = `🎮 **${result.killCount.toLocaleString()}x ${result.monsterName} kills**`;
+        if (result.modifiers && result.modifiers.length > 0) {
+          header += `\n⚙️ ${result.modifiers.join(' · ')}`;
         }
         
-        // Add unique drop notifications
+        let footer = '';
+        
+        // Add unique drop notifications, keeping long runs within the message limit
         if (result.uniqueDrops && result.uniqueDrops.length > 0) {
-          message += '\n\n**🎉 Unique drops:**\n';
-          result.uniqueDrops.forEach(drop => {
-            message += `Kill #${drop.killNumber}: ${drop.item} (${drop.rarity})\n`;
-          });
+          footer += '**🎉 Unique drops:**\n';
+          footer += result.uniqueDrops
+            .slice(0, MAX_LISTED_UNIQUES)
+            .map(drop => `Kill #${drop.killNumber.toLocaleString()}: ${drop.item} (${drop.rarity})`)
+            .join('\n');
+          if (result.uniqueDrops.length > MAX_LISTED_UNIQUES) {
+            footer += `\n…and ${(result.uniqueDrops.length - MAX_LISTED_UNIQUES).toLocaleString()} more`;
+          }
+          footer += '\n\n';
         }
         
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-            components: [
-              {
-                type: MessageComponentTypes.TEXT_DISPLAY,
-                content: message
-              }
-            ]
-          },
+        // Loot value summary
+        if (valuation && items.length > 0) {
+          const topItems = valuation.items
+            .filter(p => p.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 3);
+          
+          footer += `💰 **Total value:** ${formatGp(valuation.total)} gp`;
+          footer += `\n⚔️ **Per kill:** ${formatGp(valuation.total / result.killCount)} gp`;
+          if (topItems.length > 0) {
+            footer += '\n📈 **Top value:** ' + topItems
+              .map(p => `${p.item} (${Math.round(p.value / valuation.total * 100)}%)`)
+              .join(', ');
+          }
+          if (valuation.untradeable.length > 0) {
+            footer += `\n🚫 **Untradeable (not valued):** ${valuation.untradeable.join(', ')}`;
+          }
+          if (valuation.unpriced.length > 0) {
+            footer += `\n❔ **No recent GE price (not valued):** ${valuation.unpriced.join(', ')}`;
+          }
+          footer += '\n\n';
+        } else if (!valuation) {
+          footer += '⚠️ Grand Exchange prices unavailable right now\n\n';
+        }
+        
+        // Echo the seed so the run can be replayed
+        footer += `🎲 Seed: \`${result.seed}\``;
+        if (replayed) {
+          footer += '\n-# Replayed seeds are not added to your bank, collection log or leaderboards';
+        }
+        
+        // Loot is paged (and sortable) through buttons handled in the MESSAGE_COMPONENT branch
+        const view = createLootView(id, { header, items, footer, valued: Boolean(valuation) });
+        return renderLootPage(id, view);
+      }, '❌ Error simulating kills. Please try again.');
+    }
+
+    // "dryness" command
+    if (name === 'dryness') {
+      const bossName = data.options.find(o => o.name === 'boss').value;
+      const itemName = data.options.find(o => o.name === 'item').value;
+      const killCount = data.options.find(o => o.name === 'kc').value;
+      return sendDeferred(req, res, async () => {
+        let content;
+        
+        const dropData = await loadDropData(bossName);
+        const { match: itemChance, suggestions } = dropData.error
+          ? { match: null, suggestions: [] }
+          : findItemChance(dropData, itemName);
+        
+        if (dropData.error) {
+          content = `❌ ${dropData.error}`;
+        } else if (!itemChance && suggestions.length > 0) {
+          const names = suggestions.map(suggestion => `• ${suggestion}`).join('\n');
+          content = `🔎 ${dropData.name} has no drop called "${itemName}". Did you mean:\n${names}`;
+        } else if (!itemChance) {
+          content = `❌ ${dropData.name} doesn't drop "${itemName}"`;
+        } else {
+          const stats = calculateDryness(itemChance.chance, killCount);
+          const percent = (value) => `${(value * 100).toFixed(2)}%`;
+          
+          content = `📉 **${itemChance.item}** from **${dropData.name}** at ${killCount.toLocaleString()} kc\n\n` +
+            `🎯 **Drop rate:** ${formatChance(stats.chance)} per kill\n` +
+            `✅ **Chance to have it by now:** ${percent(stats.receivedChance)}\n` +
+            `📊 **Expected kc:** ${Math.round(stats.expectedKc).toLocaleString()} (median ${stats.medianKc.toLocaleString()})\n` +
+            `🥶 **Dry streak:** ${stats.timesRate.toFixed(2)}x drop rate — ` +
+            `drier than ${percent(stats.receivedChance)} of players`;
+        }
+        
+        return textMessage(content);
+      }, '❌ Error calculating drop chances. Please try again.');
+    }
+
+    // "completion" command
+    if (name === 'completion') {
+      const getOption = (optionName) => data.options.find(o => o.name === optionName)?.value;
+      
+      // Thousands of trials run on the simulation pool, so reply once they finish
+      return sendDeferred(req, res, async (signal) => {
+        const result = await simulateCompletion(getOption('boss'), {
+          trials: getOption('trials'),
+          includeRares: getOption('include_rares'),
+          seed: getOption('seed'),
+          modifiers: modifierOptions(getOption),
+          signal,
         });
-      } catch (error) {
-        console.error('Error in kill command:', error);
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            flags: InteractionResponseFlags.IS_COMPONENTS_V2,
-            components: [
-              {
-                type: MessageComponentTypes.TEXT_DISPLAY,
-                content: `❌ Error simulating kills. Please try again.`
-              }
-            ]
-          },
+        
+        if (result.error) {
+          return textMessage(`❌ ${result.error}`);
+        }
+        
+        const kc = (value) => Math.round(value).toLocaleString();
+        let content = `📖 **${result.monsterName} collection log** (${result.items.length} items, ${result.trials.toLocaleString()} trials)\n`;
+        if (result.modifiers.length > 0) {
+          content += `⚙️ ${result.modifiers.join(' · ')}\n`;
+        }
+        content += `\n📊 **Mean:** ${kc(result.mean)} kc\n` +
+          `⚖️ **Median:** ${kc(result.median)} kc\n` +
+          `🍀 **10th percentile:** ${kc(result.p10)} kc\n` +
+          `😬 **90th percentile:** ${kc(result.p90)} kc\n` +
+          `💀 **99th percentile:** ${kc(result.p99)} kc\n` +
+          `🔒 **Most often last:** ${result.mostOftenLast} (${(result.mostOftenLastShare * 100).toFixed(1)}%)\n\n` +
+          `🎲 Seed: \`${result.seed}\``;
+        return textMessage(content);
+      }, '❌ Error simulating collection log. Please try again.');
+    }
+
+    // "raid" command
+    if (name === 'raid') {
+      const getOption = (optionName) => data.options.find(o => o.name === optionName)?.value;
+      return sendDeferred(req, res, async () => {
+        let content;
+        
+        const result = simulateRaids(getOption('raid'), getOption('count'), {
+          teamSize: getOption('team_size'),
+          points: getOption('points'),
+          deaths: getOption('deaths'),
+          raidLevel: getOption('raid_level'),
+          seed: getOption('seed'),
         });
+        
+        if (result.error) {
+          content = `❌ ${result.error}`;
+        } else {
+          const playerName = (player) => player === 0 ? 'You' : `Teammate ${player}`;
+          const details = [`team of ${result.teamSize}`];
+          if (result.raidLevel !== null) details.push(`raid level ${result.raidLevel}`);
+          
+          content = `🏛️ **${result.count}x ${result.raidName}** (${details.join(', ')})\n` +
+            `🟣 **Purple chance:** ${(result.uniqueChance * 100).toFixed(2)}% per raid\n\n`;
+          
+          if (result.purples.length === 0) {
+            content += 'No purples (dry!)';
+          } else {
+            // Keep long runs readable
+            const shown = result.purples.slice(0, 20)
+              .map(p => `Raid #${p.raidNumber}: ${p.pet ? '🐾 ' : ''}${p.item} → ${playerName(p.player)}`);
+            const yours = result.purples.filter(p => p.player === 0 && !p.pet).length;
+            content += `**🎉 Purples (${result.purples.filter(p => !p.pet).length}, ${yours} yours):**\n` + shown.join('\n');
+            if (result.purples.length > shown.length) {
+              content += `\n…and ${result.purples.length - shown.length} more`;
+            }
+          }
+          
+          // Value your share of the loot
+          try {
+            const valuation = await priceLoot(result.loot);
+            const topItems = valuation.items
+              .filter(p => p.value > 0)
+              .sort((a, b) => b.value - a.value)
+              .slice(0, 5);
+            content += `\n\n💰 **Your loot:** ${formatGp(valuation.total)} gp (${formatGp(valuation.total / result.count)} gp/raid)`;
+            if (topItems.length > 0) {
+              content += '\n' + topItems.map(p => `${p.quantity.toLocaleString()}x ${p.item} (${formatGp(p.value)} gp)`).join('\n');
+            }
+          } catch (error) {
+            console.error('Error pricing raid loot:', error);
+          }
+          
+          content += `\n\n🎲 Seed: \`${result.seed}\``;
+        }
+        
+        return textMessage(content);
+      }, '❌ Error simulating raids. Please try again.');
+    }
+
+    // "bank" command
+    if (name === 'bank') {
+      const getOption = (optionName) => data.options?.find(o => o.name === optionName)?.value;
+      const userId = req.body.context === 0 ? req.body.member.user.id : req.body.user.id;
+      return sendDeferred(req, res, async () => {
+        let content;
+        
+        if (getOption('reset')) {
+          resetPlayer(userId, 'bank');
+          content = '🗑️ Your simulated bank has been emptied';
+        } else {
+          const bank = getBank(userId);
+          let entries = Object.entries(bank).map(([item, quantity]) => ({ item, quantity, value: null }));
+          
+          if (entries.length === 0) {
+            content = '🏦 Your bank is empty. Use `/kill` to start collecting loot!';
+          } else {
+            let total = null;
+            try {
+              const valuation = await priceLoot(bank);
+              entries = valuation.items;
+              total = valuation.total;
+            } catch (error) {
+              console.error('Error pricing bank:', error);
+            }
+            
+            if (getOption('sort') === 'value') {
+              entries.sort((a, b) => (b.value || 0) - (a.value || 0));
+            } else {
+              entries.sort((a, b) => b.quantity - a.quantity);
+            }
+            
+            // Keep the message within Discord's length limit
+            const shown = entries.slice(0, 40).map(e => {
+              const value = e.value ? ` (${formatGp(e.value)} gp)` : '';
+              return `${e.quantity.toLocaleString()}x ${e.item}${value}`;
+            });
+            
+            content = `🏦 **Your simulated bank** (${entries.length} items)\n\n${shown.join('\n')}`;
+            if (entries.length > shown.length) {
+              content += `\n…and ${entries.length - shown.length} more`;
+            }
+            if (total !== null) {
+              content += `\n\n💰 **Total value:** ${formatGp(total)} gp`;
+            }
+          }
+        }
+        
+        return textMessage(content);
+      }, '❌ Error loading your bank. Please try again later.');
+    }
+
+    // "clog" command
+    if (name === 'clog') {
+      const getOption = (optionName) => data.options?.find(o => o.name === optionName)?.value;
+      const userId = req.body.context === 0 ? req.body.member.user.id : req.body.user.id;
+      return sendDeferred(req, res, async () => {
+        let content;
+        
+        if (getOption('reset')) {
+          resetPlayer(userId, 'log');
+          content = '🗑️ Your collection log and kill counts have been cleared';
+        } else {
+          const log = getCollectionLog(userId, getOption('boss'));
+          
+          if (log.length === 0) {
+            content = getOption('boss')
+              ? `📖 You haven't simulated any ${getOption('boss')} kills yet`
+              : '📖 Your collection log is empty. Use `/kill` to start hunting!';
+          } else {
+            content = '📖 **Your simulated collection log**\n' + log.slice(0, 15).map(entry => {
+              const items = entry.items.length > 0
+                ? entry.items.map(i => `🌟 ${i.item} — kc ${i.kc.toLocaleString()}${i.count > 1 ? ` (x${i.count})` : ''}`).join('\n')
+                : 'No uniques yet';
+              return `\n**${entry.monster}** (${entry.killCount.toLocaleString()} kc)\n${items}`;
+            }).join('\n');
+          }
+        }
+        
+        return textMessage(content);
+      }, '❌ Error loading your collection log. Please try again later.');
+    }
+
+    // "leaderboard" command
+    if (name === 'leaderboard') {
+      const category = data.options.find(o => o.name === 'category').value;
+      const window = data.options.find(o => o.name === 'window')?.value || 'all';
+      const rows = getLeaderboard(req.body.guild_id, category, window);
+      const titles = { luck: '🍀 Luckiest', kills: '⚔️ Most simulated kills', pet: '🐾 Fastest pets' };
+      const medal = (i) => ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+      
+      let content = `**${titles[category]}** (${window === 'week' ? 'this week' : 'all-time'})\n\n`;
+      if (rows.length === 0) {
+        content += 'Nobody qualifies yet. Use `/kill` to get on the board!';
+      } else if (category === 'pet') {
+        content += rows.map((row, i) => `${medal(i)} <@${row.userId}> — ${row.item} at ${row.kc.toLocaleString()} ${row.monster} kc`).join('\n');
+      } else if (category === 'kills') {
+        content += rows.map((row, i) => `${medal(i)} <@${row.userId}> — ${row.kills.toLocaleString()} kills`).join('\n');
+      } else {
+        content += rows.map((row, i) =>
+          `${medal(i)} <@${row.userId}> — ${row.luck.toFixed(2)}x (${row.uniques} uniques vs ${row.expectedUniques.toFixed(1)} expected)`
+        ).join('\n');
       }
+      
+      return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          flags: InteractionResponseFlags.IS_COMPONENTS_V2,
+          // Show member mentions without pinging everyone on the board
+          allowed_mentions: { parse: [] },
+          components: [
+            {
+              type: MessageComponentTypes.TEXT_DISPLAY,
+              content
+            }
+          ]
+        },
+      });
+    }
+
+    // "dropcache" admin command
+    if (name === 'dropcache') {
+      const subcommand = data.options[0];
+      const bossName = subcommand.options[0].value;
+      return sendDeferred(req, res, async () => {
+        let content;
+        
+        if (subcommand.name === 'purge') {
+          const purged = purgeDropData(bossName);
+          content = purged
+            ? `🗑️ Purged cached drop table for "${bossName}"`
+            : `ℹ️ No cached drop table for "${bossName}"`;
+        } else {
+          const result = await refreshDropData(bossName);
+          content = result.error
+            ? `❌ ${result.error}`
+            : `🔄 Refreshed drop table for **${result.name}**`;
+        }
+        
+        return textMessage(content);
+      }, '❌ Error updating the drop table cache. Please try again later.', { ephemeral: true });
     }
 
     console.error(`unknown command: ${name}`);
     return res.status(400).json({ error: 'unknown command' });
   }
 
+  /**
+   * Handle modal submissions
+   * See https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-modal-submit-data-structure
+   */
+  if (type === InteractionType.MODAL_SUBMIT) {
+    const modalId = data.custom_id;
+
+    // Item list pasted into the /value modal
+    if (modalId.startsWith('value_modal_')) {
+      const list = data.components[0].components[0].value;
+      return sendDeferred(req, res, () => valuationMessage(list, modalId === 'value_modal_csv'),
+        '❌ Error valuing that list. Please try again later.');
+    }
+
+    console.error(`unknown modal: ${modalId}`);
+    return res.status(400).json({ error: 'unknown modal' });
+  }
+
   /**
    * Handle requests from interactive components
    * See https://discord.com/developers/docs/components/using-message-components#using-message-components-with-interactions
@@ -265,6 +1046,55 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
     // custom_id set in payload when sending message component
     const componentId = data.custom_id;
 
+    // Picking an item from an ambiguous /itemprice lookup
+    if (componentId.startsWith('itemprice_select_')) {
+      const candidateIds = componentId.replace('itemprice_select_', '').split('-').map(Number);
+      const selectedId = Number(data.values[0]);
+      
+      return sendDeferred(req, res, async () => {
+        const candidates = (await Promise.all(candidateIds.map(getItemById))).filter(Boolean);
+        const item = candidates.find(c => c.id === selectedId);
+        if (!item) {
+          return textMessage('❌ That item is no longer available. Please run `/itemprice` again.');
+        }
+        return itemPriceMessage(await itemPriceContent(item), candidates, item);
+      }, '❌ Error fetching price data. Please try again later.');
+    }
+
+    // Paging and sorting /kill loot
+    if (componentId.startsWith('loot_page_') || componentId.startsWith('loot_sort_')) {
+      let viewId, sort, page;
+      if (componentId.startsWith('loot_page_')) {
+        [viewId, sort, page] = componentId.replace('loot_page_', '').split('_');
+        page = parseInt(page);
+      } else {
+        viewId = componentId.replace('loot_sort_', '');
+        sort = data.values[0];
+        page = 0;
+      }
+      
+      const view = getLootView(viewId);
+      if (!view) {
+        return res.send({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            flags: InteractionResponseFlags.EPHEMERAL | InteractionResponseFlags.IS_COMPONENTS_V2,
+            components: [
+              {
+                type: MessageComponentTypes.TEXT_DISPLAY,
+                content: '⌛ This loot view has expired. Run `/kill` again with the seed shown to see it.'
+              }
+            ]
+          },
+        });
+      }
+      
+      return res.send({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: renderLootPage(viewId, view, page, sort),
+      });
+    }
+
     if (componentId.startsWith('accept_button_')) {
       // get the associated game ID
       const gameId = componentId.replace('accept_button_', '');
@@ -364,3 +1194,17 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
 app.listen(PORT, () => {
   console.log('Listening on port', PORT);
 });
+
+// Write out any batched bank, leaderboard, alert and cache saves before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    flushSaves().finally(() => process.exit(0));
+  });
+}
+
+// Pick up edits to definitions/*.json without a restart
+watchMonsterDefinitions();
+// Keep the item search index warm for /itemprice
+startItemIndexRefresh();
+// Check price alerts against the latest GE prices
+startAlertPoller();
@@ -0,0 +1,83 @@
+import { loadJson, createDebouncedSave } from './jsonStore.js';
+
+// Per-user simulated bank, kill counts and collection log, persisted to disk
+const BANK_FILE = 'banks.json';
+
+const players = loadJson(BANK_FILE, {});
+const scheduleSave = createDebouncedSave(BANK_FILE, () => players);
+
+function getPlayer(userId) {
+  if (!players[userId]) {
+    players[userId] = { bank: {}, killCounts: {}, collectionLog: {} };
+  }
+  return players[userId];
+}
+
+/**
+ * Add a simulateKills result to a user's bank and collection log. Unique
+ * drops are logged at the user's overall kill count for that monster, and
+ * only the first of each item keeps its kill count.
+ */
+export function recordKills(userId, result) {
+  const player = getPlayer(userId);
+  const monster = result.monsterName;
+  const previousKc = player.killCounts[monster] || 0;
+
+  for (const [item, quantity] of Object.entries(result.loot)) {
+    player.bank[item] = (player.bank[item] || 0) + quantity;
+  }
+
+  player.killCounts[monster] = previousKc + result.killCount;
+
+  const log = player.collectionLog[monster] || (player.collectionLog[monster] = {});
+  for (const drop of result.uniqueDrops || []) {
+    if (log[drop.item]) {
+      log[drop.item].count++;
+    } else {
+      log[drop.item] = { kc: previousKc + drop.killNumber, count: 1, obtainedAt: Date.now() };
+    }
+  }
+
+  scheduleSave();
+}
+
+// The user's bank as { itemName: quantity }
+export function getBank(userId) {
+  return players[userId] ? players[userId].bank : {};
+}
+
+/**
+ * The user's collection log, optionally for one monster (case-insensitive).
+ * Returns [{ monster, killCount, items: [{ item, kc, count }] }] sorted by kill count.
+ */
+export function getCollectionLog(userId, monsterName) {
+  const player = players[userId];
+  if (!player) return [];
+
+  return Object.entries(player.killCounts)
+    .filter(([monster]) => !monsterName || monster.toLowerCase() === monsterName.toLowerCase())
+    .map(([monster, killCount]) => ({
+      monster,
+      killCount,
+      items: Object.entries(player.collectionLog[monster] || {})
+        .map(([item, entry]) => ({ item, ...entry }))
+        .sort((a, b) => a.kc - b.kc),
+    }))
+    .sort((a, b) => b.killCount - a.killCount);
+}
+
+// Clear a user's bank ('bank'), collection log and kill counts ('log'), or both ('all')
+export function resetPlayer(userId, scope = 'all') {
+  const player = players[userId];
+  if (!player) return;
+
+  if (scope === 'bank' || scope === 'all') {
+    player.bank = {};
+  }
+  if (scope === 'log' || scope === 'all') {
+    player.killCounts = {};
+    player.collectionLog = {};
+  }
+
+  scheduleSave();
+}
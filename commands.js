@@ -1,6 +1,10 @@
 import 'dotenv/config';
 import { getRPSChoices } from './game.js';
 import { capitalize, InstallGlobalCommands } from './utils.js';
+import { MAX_SEED } from './rng.js';
+import { CA_TIERS } from './modifiers.js';
+import { RAID_CHOICES } from './raidSimulator.js';
+import { HISTORY_PERIOD_CHOICES } from './priceHistory.js';
 
 // Get the game choices from game.js
 function createCommandChoices() {
@@ -17,6 +21,14 @@ function createCommandChoices() {
   return commandChoices;
 }
 
+// Combat achievement tiers for the kill command
+function createCATierChoices() {
+  return CA_TIERS.map(tier => ({
+    name: capitalize(tier),
+    value: tier,
+  }));
+}
+
 // Command containing options
 const CHALLENGE_COMMAND = {
   name: 'challenge',
@@ -45,6 +57,106 @@ const ITEMPRICE_COMMAND = {
       name: 'item',
       description: 'The item name to check price for',
       required: true,
+      autocomplete: true,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Price history command
+const PRICEHISTORY_COMMAND = {
+  name: 'pricehistory',
+  description: 'Grand Exchange price history and trend chart for an OSRS item',
+  options: [
+    {
+      type: 3,
+      name: 'item',
+      description: 'The item name',
+      required: true,
+      autocomplete: true,
+    },
+    {
+      type: 3,
+      name: 'period',
+      description: 'How far back to chart (default 7 days)',
+      required: false,
+      choices: HISTORY_PERIOD_CHOICES,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Flipping margins command
+const FLIPS_COMMAND = {
+  name: 'flips',
+  description: 'Best Grand Exchange flipping margins right now, after GE tax',
+  options: [
+    {
+      type: 4, // INTEGER type
+      name: 'min_volume',
+      description: 'Minimum number traded in the last hour',
+      required: false,
+      min_value: 0,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'max_capital',
+      description: 'Most gp to spend on one item',
+      required: false,
+      min_value: 1,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// High alchemy profit command
+const ALCH_COMMAND = {
+  name: 'alch',
+  description: 'Most profitable items to buy and high alch, or the profit for one item',
+  options: [
+    {
+      type: 3,
+      name: 'item',
+      description: 'Show alch profit for this item instead of the rankings',
+      required: false,
+      autocomplete: true,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'min_volume',
+      description: 'Minimum number traded in the last hour',
+      required: false,
+      min_value: 0,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Bulk item list valuation command
+const VALUE_COMMAND = {
+  name: 'value',
+  description: 'Value a list of items at GE prices (leave items empty to paste a multi-line list)',
+  options: [
+    {
+      type: 3,
+      name: 'items',
+      description: 'Items separated by semicolons, e.g. "5x Abyssal whip; Dragon bones x 120"',
+      required: false,
+      max_length: 6000,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'csv',
+      description: 'Attach the full breakdown as a CSV file',
+      required: false,
     },
   ],
   type: 1,
@@ -52,6 +164,85 @@ const ITEMPRICE_COMMAND = {
   contexts: [0, 1, 2],
 };
 
+// Price alert commands
+const ALERT_COMMAND = {
+  name: 'alert',
+  description: 'Get notified when a Grand Exchange price crosses a threshold',
+  options: [
+    {
+      type: 1, // SUB_COMMAND type
+      name: 'create',
+      description: 'Create a price alert',
+      options: [
+        {
+          type: 3,
+          name: 'item',
+          description: 'The item to watch',
+          required: true,
+          autocomplete: true,
+        },
+        {
+          type: 3,
+          name: 'direction',
+          description: 'Alert when the price goes above or below the threshold',
+          required: true,
+          choices: [
+            { name: 'Above', value: 'above' },
+            { name: 'Below', value: 'below' },
+          ],
+        },
+        {
+          type: 4, // INTEGER type
+          name: 'price',
+          description: 'Threshold price in gp',
+          required: true,
+          min_value: 1,
+          max_value: 2147483647,
+        },
+        {
+          type: 3,
+          name: 'side',
+          description: 'Which price to watch (default buy)',
+          required: false,
+          choices: [
+            { name: 'Buy (instant-buy price)', value: 'buy' },
+            { name: 'Sell (instant-sell price)', value: 'sell' },
+          ],
+        },
+        {
+          type: 7, // CHANNEL type
+          name: 'channel',
+          description: 'Post the alert in this channel instead of a DM',
+          required: false,
+          channel_types: [0, 5], // Text and announcement channels
+        },
+      ],
+    },
+    {
+      type: 1, // SUB_COMMAND type
+      name: 'list',
+      description: 'List your price alerts',
+    },
+    {
+      type: 1, // SUB_COMMAND type
+      name: 'delete',
+      description: 'Delete one of your price alerts',
+      options: [
+        {
+          type: 4, // INTEGER type
+          name: 'id',
+          description: 'Alert ID from /alert list',
+          required: true,
+          min_value: 1,
+        },
+      ],
+    },
+  ],
+  type: 1,
+  integration_types: [0],
+  contexts: [0, 1],
+};
+
 // Kill simulator command
 const KILL_COMMAND = {
   name: 'kill',
@@ -60,23 +251,372 @@ const KILL_COMMAND = {
     {
       type: 4, // INTEGER type
       name: 'count',
-      description: 'Number of kills to simulate (1-10000)',
+      description: 'Number of kills to simulate (1-1,000,000)',
+      required: true,
+      min_value: 1,
+      max_value: 1000000,
+    },
+    {
+      type: 3, // STRING type
+      name: 'boss',
+      description: 'Boss or monster name',
+      required: true,
+      autocomplete: true,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'seed',
+      description: 'Seed to replay a previous simulation exactly',
+      required: false,
+      min_value: 0,
+      max_value: MAX_SEED,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'on_task',
+      description: 'Killed on a slayer task (task-only bosses default to on task)',
+      required: false,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'konar',
+      description: 'Killed on a Konar task (adds brimstone keys)',
+      required: false,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'ring_of_wealth',
+      description: 'Wearing a ring of wealth (improves the rare drop table)',
+      required: false,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'wilderness',
+      description: 'Killed in the Wilderness (enables Wilderness-only drops)',
+      required: false,
+    },
+    {
+      type: 3, // STRING type
+      name: 'ca_tier',
+      description: 'Highest completed combat achievement tier',
+      required: false,
+      choices: createCATierChoices(),
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Dry streak calculator command
+const DRYNESS_COMMAND = {
+  name: 'dryness',
+  description: 'How unlucky are you? Odds of having an item by your kill count',
+  options: [
+    {
+      type: 3, // STRING type
+      name: 'boss',
+      description: 'Boss or monster name',
+      required: true,
+      autocomplete: true,
+    },
+    {
+      type: 3, // STRING type
+      name: 'item',
+      description: 'The item you are hunting',
+      required: true,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'kc',
+      description: 'Your kill count so far',
       required: true,
       min_value: 1,
-      max_value: 10000,
     },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Collection log completion simulator command
+const COMPLETION_COMMAND = {
+  name: 'completion',
+  description: 'How many kills it takes to finish a boss\'s collection log',
+  options: [
     {
       type: 3, // STRING type
       name: 'boss',
       description: 'Boss or monster name',
       required: true,
+      autocomplete: true,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'trials',
+      description: 'Number of simulated players (default 1000)',
+      required: false,
+      min_value: 100,
+      max_value: 10000,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'include_rares',
+      description: 'Also require pets and other rare tertiary drops',
+      required: false,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'seed',
+      description: 'Seed to replay a previous simulation exactly',
+      required: false,
+      min_value: 0,
+      max_value: MAX_SEED,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'on_task',
+      description: 'Killed on a slayer task (task-only bosses default to on task)',
+      required: false,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'konar',
+      description: 'Killed on a Konar task (Konar-only drops count)',
+      required: false,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'wilderness',
+      description: 'Killed in the Wilderness (Wilderness-only drops count)',
+      required: false,
+    },
+    {
+      type: 3, // STRING type
+      name: 'ca_tier',
+      description: 'Highest completed combat achievement tier',
+      required: false,
+      choices: createCATierChoices(),
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Raid chest simulator command
+const RAID_COMMAND = {
+  name: 'raid',
+  description: 'Simulate raid chest loot, including purples for your team',
+  options: [
+    {
+      type: 3, // STRING type
+      name: 'raid',
+      description: 'Which raid',
+      required: true,
+      choices: RAID_CHOICES,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'count',
+      description: 'Number of raids to simulate (1-1000)',
+      required: true,
+      min_value: 1,
+      max_value: 1000,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'team_size',
+      description: 'Players in the team (default 1; CoX up to 100, ToB 5, ToA 8)',
+      required: false,
+      min_value: 1,
+      max_value: 100,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'points',
+      description: 'Points per player (Chambers of Xeric, Tombs of Amascut)',
+      required: false,
+      min_value: 0,
+      max_value: 1000000,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'deaths',
+      description: 'Your deaths per raid (Theatre of Blood)',
+      required: false,
+      min_value: 0,
+      max_value: 5,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'raid_level',
+      description: 'Invocation raid level (Tombs of Amascut, default 300)',
+      required: false,
+      min_value: 0,
+      max_value: 600,
+    },
+    {
+      type: 4, // INTEGER type
+      name: 'seed',
+      description: 'Seed to replay a previous simulation exactly',
+      required: false,
+      min_value: 0,
+      max_value: MAX_SEED,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Simulated bank command
+const BANK_COMMAND = {
+  name: 'bank',
+  description: 'View the loot you have collected from /kill simulations',
+  options: [
+    {
+      type: 3, // STRING type
+      name: 'sort',
+      description: 'How to order your bank (default quantity)',
+      required: false,
+      choices: [
+        { name: 'Quantity', value: 'quantity' },
+        { name: 'Value', value: 'value' },
+      ],
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'reset',
+      description: 'Empty your simulated bank',
+      required: false,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Simulated collection log command
+const CLOG_COMMAND = {
+  name: 'clog',
+  description: 'View the uniques you have obtained from /kill simulations',
+  options: [
+    {
+      type: 3, // STRING type
+      name: 'boss',
+      description: 'Only show one boss or monster',
+      required: false,
+      autocomplete: true,
+    },
+    {
+      type: 5, // BOOLEAN type
+      name: 'reset',
+      description: 'Clear your collection log and kill counts',
+      required: false,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+// Server leaderboard command
+const LEADERBOARD_COMMAND = {
+  name: 'leaderboard',
+  description: 'Server rankings for simulated luck',
+  options: [
+    {
+      type: 3, // STRING type
+      name: 'category',
+      description: 'What to rank by',
+      required: true,
+      choices: [
+        { name: 'Luck (uniques vs expected)', value: 'luck' },
+        { name: 'Total simulated kills', value: 'kills' },
+        { name: 'Fastest pet', value: 'pet' },
+      ],
+    },
+    {
+      type: 3, // STRING type
+      name: 'window',
+      description: 'Time window (default all-time)',
+      required: false,
+      choices: [
+        { name: 'This week', value: 'week' },
+        { name: 'All-time', value: 'all' },
+      ],
     },
   ],
   type: 1,
+  integration_types: [0],
+  contexts: [0],
+};
+
+// Admin command for managing cached drop tables
+const DROPCACHE_COMMAND = {
+  name: 'dropcache',
+  description: 'Manage cached drop tables',
+  options: [
+    {
+      type: 1, // SUB_COMMAND type
+      name: 'purge',
+      description: 'Remove a monster from the drop table cache',
+      options: [
+        {
+          type: 3, // STRING type
+          name: 'boss',
+          description: 'Boss or monster name',
+          required: true,
+        },
+      ],
+    },
+    {
+      type: 1, // SUB_COMMAND type
+      name: 'refresh',
+      description: 'Re-fetch a monster\'s drop table from the wiki',
+      options: [
+        {
+          type: 3, // STRING type
+          name: 'boss',
+          description: 'Boss or monster name',
+          required: true,
+        },
+      ],
+    },
+  ],
+  type: 1,
+  // Administrator only, and only inside servers where that permission applies
+  default_member_permissions: '8',
+  integration_types: [0],
+  contexts: [0],
+};
+
+// Message context menu command for pricing items mentioned in chat
+const PRICE_CHECK_COMMAND = {
+  name: 'Price check',
+  type: 3, // MESSAGE type
   integration_types: [0, 1],
   contexts: [0, 1, 2],
 };
 
-const ALL_COMMANDS = [CHALLENGE_COMMAND, ITEMPRICE_COMMAND, KILL_COMMAND];
+const ALL_COMMANDS = [
+  CHALLENGE_COMMAND,
+  ITEMPRICE_COMMAND,
+  PRICEHISTORY_COMMAND,
+  FLIPS_COMMAND,
+  ALCH_COMMAND,
+  VALUE_COMMAND,
+  ALERT_COMMAND,
+  KILL_COMMAND,
+  DRYNESS_COMMAND,
+  COMPLETION_COMMAND,
+  RAID_COMMAND,
+  BANK_COMMAND,
+  CLOG_COMMAND,
+  LEADERBOARD_COMMAND,
+  DROPCACHE_COMMAND,
+  PRICE_CHECK_COMMAND,
+];
 
 InstallGlobalCommands(process.env.APP_ID, ALL_COMMANDS);
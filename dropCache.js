@@ -0,0 +1,75 @@
+import { loadJson, createDebouncedSave } from './jsonStore.js';
+
+// Persistent LRU cache for parsed drop tables
+const CACHE_FILE = 'drop-cache.json';
+export const CACHE_DURATION = 60 * 60 * 1000; // 1 hour before an entry is stale
+const STALE_LIMIT = 7 * 24 * 60 * 60 * 1000; // Keep stale entries a week as an outage fallback
+const MAX_CACHE_SIZE = 100; // Maximum number of cached entries
+const CLEANUP_INTERVAL = 10 * 60 * 1000; // Cleanup every 10 minutes
+
+// Map iteration order doubles as recency order: least recently used first
+const cache = new Map(loadJson(CACHE_FILE, []));
+const scheduleSave = createDebouncedSave(CACHE_FILE, () => [...cache.entries()]);
+
+// Periodic cleanup of entries that are too old to serve even as stale data
+setInterval(() => {
+  cleanupExpiredEntries();
+}, CLEANUP_INTERVAL).unref();
+
+function cleanupExpiredEntries() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [key, entry] of cache.entries()) {
+    if (now - entry.expiresAt >= STALE_LIMIT) {
+      cache.delete(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`Cleaned up ${removed} expired cache entries`);
+    scheduleSave();
+  }
+}
+
+/**
+ * Look up a cached drop table. Marks the entry as most recently used and
+ * returns { data, stale }, or null if nothing is cached for the key.
+ */
+export function getCachedDrops(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  // Re-insert to move the entry to the most recently used end
+  cache.delete(key);
+  cache.set(key, entry);
+
+  return { data: entry.data, stale: Date.now() >= entry.expiresAt };
+}
+
+// Store a drop table, evicting the least recently used entry when full
+export function setCachedDrops(key, data, ttl = CACHE_DURATION) {
+  cache.delete(key);
+
+  while (cache.size >= MAX_CACHE_SIZE) {
+    const lruKey = cache.keys().next().value;
+    cache.delete(lruKey);
+    console.log(`Evicted LRU cache entry: ${lruKey}`);
+  }
+
+  cache.set(key, { data, expiresAt: Date.now() + ttl });
+  scheduleSave();
+}
+
+// Remove a single entry, returning whether anything was cached
+export function purgeCachedDrops(key) {
+  const existed = cache.delete(key);
+  if (existed) scheduleSave();
+  return existed;
+}
+
+// Cached monster names, most recently used first
+export function listCachedMonsters() {
+  return [...cache.values()].map(entry => entry.data.name).reverse();
+}
@@ -1,154 +1,282 @@
-// Drop simulator with caching
-const dropCache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-const MAX_CACHE_SIZE = 100; // Maximum number of cached entries
-const CLEANUP_INTERVAL = 10 * 60 * 1000; // Cleanup every 10 minutes
-
-// Periodic cleanup of expired cache entries
-setInterval(() => {
-  cleanupExpiredCache();
-}, CLEANUP_INTERVAL);
-
-function cleanupExpiredCache() {
-  const now = Date.now();
-  const keysToDelete = [];
-  
-  for (const [key, value] of dropCache.entries()) {
-    if (now - value.timestamp >= CACHE_DURATION) {
-      keysToDelete.push(key);
-    }
+import { availableParallelism } from 'node:os';
+import { randomSeed } from './rng.js';
+import { getCachedDrops, setCachedDrops, purgeCachedDrops } from './dropCache.js';
+import { parseWikitext, groupBySection, extractDropTables, cleanValue, normalizeName } from './wikitext.js';
+import { getSharedTable, sharedTableForTemplate } from './sharedTables.js';
+import { resolveMonsterAlias } from './monsters.js';
+import { applyModifiers, detectConditions } from './modifiers.js';
+import { getMonsterDefinition, getDefinitionDropData, applyMonsterDefinition } from './monsterDefinitions.js';
+import { expectedUniqueDrops } from './dropStats.js';
+import { runSimulation } from './simulation.js';
+import { createWorkerPool } from './workerPool.js';
+
+// Wiki refreshes currently in flight, so concurrent requests share one fetch
+const pendingFetches = new Map();
+
+// Simulations run on worker threads so big runs don't stall other interactions
+const SIMULATION_WORKERS = parseInt(process.env.SIMULATION_WORKERS) || Math.max(1, availableParallelism() - 1);
+const SIMULATION_QUEUE_LIMIT = 20;
+const SIMULATION_TIMEOUT = 20 * 1000;
+
+let simulationPool = null;
+
+// Started on first use so importing this module doesn't spawn threads
+function getSimulationPool() {
+  if (!simulationPool) {
+    simulationPool = createWorkerPool(new URL('./simulationWorker.js', import.meta.url), {
+      size: SIMULATION_WORKERS,
+      maxQueue: SIMULATION_QUEUE_LIMIT,
+      timeout: SIMULATION_TIMEOUT,
+    });
   }
-  
-  keysToDelete.forEach(key => dropCache.delete(key));
-  
-  if (keysToDelete.length > 0) {
-    console.log(`Cleaned up ${keysToDelete.length} expired cache entries`);
+  return simulationPool;
+}
+
+// Run a job on the simulation pool; a full queue, timeout or cancellation becomes { error }
+async function runOnPool(task, signal) {
+  try {
+    return { result: await getSimulationPool().run(task, { signal }) };
+  } catch (error) {
+    if (error.userMessage) {
+      return { error: error.userMessage };
+    }
+    throw error;
   }
 }
 
-function evictLRUEntry() {
-  // Find the oldest entry (LRU)
-  let oldestKey = null;
-  let oldestTime = Date.now();
-  
-  for (const [key, value] of dropCache.entries()) {
-    if (value.timestamp < oldestTime) {
-      oldestTime = value.timestamp;
-      oldestKey = key;
+/**
+ * Simulate killCount kills of a monster. options: seed, modifiers, createRng
+ * and signal (an AbortSignal that cancels a queued or running simulation).
+ */
+export async function simulateKills(monsterName, killCount, options = {}) {
+  // Every run is seeded so it can be replayed exactly
+  const seed = options.seed ?? randomSeed();
+
+  const baseDropData = await loadDropData(monsterName);
+  if (baseDropData.error) {
+    return baseDropData;
+  }
+
+  // Slayer task, ring of wealth, wilderness etc. reshape the table before rolling
+  const { dropData, error } = applyModifiers(baseDropData, options.modifiers);
+  if (error) {
+    return { error };
+  }
+
+  let result;
+  if (options.createRng) {
+    // A custom PRNG (deterministic per seed) can't be sent to a worker, so it runs here
+    result = runSimulation(dropData, killCount, options.createRng(seed), seed);
+  } else {
+    const run = await runOnPool({ type: 'kills', dropData, killCount, seed }, options.signal);
+    if (run.error) {
+      return run;
     }
+    result = run.result;
   }
-  
-  if (oldestKey) {
-    dropCache.delete(oldestKey);
-    console.log(`Evicted LRU cache entry: ${oldestKey}`);
+  result.modifiers = dropData.activeModifiers;
+  // Lets callers judge how lucky the run was
+  result.expectedUniques = expectedUniqueDrops(dropData, killCount);
+  return result;
+}
+
+/**
+ * Simulate how many kills it takes to finish a monster's collection log, on
+ * the simulation pool. options: trials, includeRares, seed, modifiers and
+ * signal. Drops the modifiers rule out (Konar-only, Wilderness-only, ...) are
+ * neither rolled nor required, just as in simulateKills.
+ * Returns the simulateLogCompletion summary or { error }.
+ */
+export async function simulateCompletion(monsterName, options = {}) {
+  const seed = options.seed ?? randomSeed();
+
+  const baseDropData = await loadDropData(monsterName);
+  if (baseDropData.error) {
+    return baseDropData;
+  }
+
+  const { dropData, error } = applyModifiers(baseDropData, options.modifiers);
+  if (error) {
+    return { error };
   }
+
+  const run = await runOnPool({
+    type: 'completion',
+    dropData,
+    options: { trials: options.trials, includeRares: options.includeRares, seed },
+  }, options.signal);
+  if (run.error || run.result.error) {
+    return { error: run.error || run.result.error };
+  }
+  return { ...run.result, modifiers: dropData.activeModifiers };
 }
 
-export async function simulateKills(monsterName, killCount) {
-  // Check cache first
+/**
+ * Get drop data for a monster: the wiki's tables (through the persistent
+ * cache) with its monster definition layered on top, or the definition's own
+ * tables when it overrides the wiki or the wiki has nothing.
+ * Stale entries are served immediately while a background refresh runs, so
+ * simulations keep working when the wiki is slow or unreachable.
+ */
+export async function loadDropData(requestedName) {
+  // Nicknames like "kq" would otherwise search the wiki for the wrong page
+  const monsterName = resolveMonsterAlias(requestedName);
+
+  if (getMonsterDefinition(monsterName)?.override) {
+    return getDefinitionDropData(monsterName);
+  }
+
   const cacheKey = monsterName.toLowerCase();
-  const cached = dropCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return runSimulation(cached.data, killCount);
+  const cached = getCachedDrops(cacheKey);
+
+  if (cached) {
+    if (cached.stale) {
+      revalidateDropData(monsterName).catch(error => {
+        console.error(`Keeping stale drop data for ${monsterName}:`, error);
+      });
+    }
+    // Definitions are applied on read so edits take effect without purging the cache
+    return applyMonsterDefinition(cached.data);
   }
-  
-  // Fetch drop data from OSRS Wiki
+
   try {
-    // First, search for the monster
-    const searchUrl = `https://oldschool.runescape.wiki/api.php?action=query&list=search&srsearch=${encodeURIComponent(monsterName)}&format=json`;
-    const searchResponse = await fetch(searchUrl);
-    
-    if (!searchResponse.ok) {
-      throw new Error(`Search API request failed: ${searchResponse.status}`);
+    const dropData = await revalidateDropData(monsterName);
+    if (dropData) {
+      return applyMonsterDefinition(dropData);
     }
-    
-    const searchData = await searchResponse.json();
-    
-    if (!searchData.query || !searchData.query.search || !searchData.query.search.length) {
-      return { error: `Could not find monster: "${monsterName}"` };
-    }
-    
-    const pageTitle = searchData.query.search[0].title;
-    
-    // Get the page content with drop tables
-    const contentUrl = `https://oldschool.runescape.wiki/api.php?action=query&prop=revisions&titles=${encodeURIComponent(pageTitle)}&rvprop=content&format=json`;
-    const contentResponse = await fetch(contentUrl);
-    
-    if (!contentResponse.ok) {
-      throw new Error(`Content API request failed: ${contentResponse.status}`);
-    }
-    
-    const contentData = await contentResponse.json();
-    
-    if (!contentData.query || !contentData.query.pages) {
-      throw new Error('Invalid response format from wiki API');
-    }
-    
-    const pages = contentData.query.pages;
-    const pageId = Object.keys(pages)[0];
-    
-    if (pageId === '-1' || !pages[pageId].revisions) {
-      return { error: `Wiki page not found for: "${monsterName}"` };
-    }
-    
-    const content = pages[pageId].revisions[0]['*'];
-    
-    if (!content) {
-      return { error: `No content found for: "${monsterName}"` };
-    }
-    
-    // Parse drop tables from wiki markup
-    const dropData = parseDropTables(content, pageTitle);
-    
-    // Validate that we got some meaningful data
-    if (!dropData || (dropData.always.length === 0 && dropData.main.length === 0 && 
-                      dropData.uniques.length === 0 && dropData.tertiary.length === 0)) {
-      console.warn(`No drop data found for ${monsterName}, using fallback if available`);
-      
-      // Try some fallback names for common monsters
-      const fallbackData = getFallbackDropData(monsterName);
-      if (fallbackData) {
-        // Cache the fallback data with size limit enforcement
-        if (dropCache.size >= MAX_CACHE_SIZE) {
-          evictLRUEntry();
-        }
-        
-        dropCache.set(cacheKey, {
-          data: fallbackData,
-          timestamp: Date.now()
-        });
-        return runSimulation(fallbackData, killCount);
-      }
-      
-      return { error: `No drop table data found for: "${monsterName}"` };
-    }
-    
-    // Cache the results with size limit enforcement
-    if (dropCache.size >= MAX_CACHE_SIZE) {
-      evictLRUEntry();
+
+    // Fall back to the monster definition's own tables
+    console.warn(`No drop data found for ${monsterName}, using fallback if available`);
+    const fallbackData = getDefinitionDropData(monsterName);
+    if (fallbackData) {
+      return fallbackData;
     }
-    
-    dropCache.set(cacheKey, {
-      data: dropData,
-      timestamp: Date.now()
-    });
-    
-    return runSimulation(dropData, killCount);
+
+    return { error: `No drop table data found for: "${monsterName}"` };
   } catch (error) {
     console.error('Error fetching drop data:', error);
-    
+
     // Try fallback data if API fails
-    const fallbackData = getFallbackDropData(monsterName);
+    const fallbackData = getDefinitionDropData(monsterName);
     if (fallbackData) {
       console.log(`Using fallback data for ${monsterName}`);
-      return runSimulation(fallbackData, killCount);
+      return fallbackData;
+    }
+
+    if (error.userMessage) {
+      return { error: error.userMessage };
     }
-    
     return { error: `Failed to fetch drop data for "${monsterName}". Please try again.` };
   }
 }
 
+// Force a fresh wiki fetch for one monster (admin refresh)
+export async function refreshDropData(requestedName) {
+  const monsterName = resolveMonsterAlias(requestedName);
+  try {
+    const dropData = await revalidateDropData(monsterName);
+    if (!dropData) {
+      return { error: `No drop table data found for: "${monsterName}"` };
+    }
+    return applyMonsterDefinition(dropData);
+  } catch (error) {
+    console.error('Error refreshing drop data:', error);
+    return { error: error.userMessage || `Failed to refresh drop data for "${monsterName}".` };
+  }
+}
+
+// Drop a single monster from the cache (admin purge)
+export function purgeDropData(monsterName) {
+  return purgeCachedDrops(resolveMonsterAlias(monsterName).toLowerCase());
+}
+
+// Fetch from the wiki and update the cache, de-duplicating concurrent refreshes
+function revalidateDropData(monsterName) {
+  const cacheKey = monsterName.toLowerCase();
+  if (pendingFetches.has(cacheKey)) {
+    return pendingFetches.get(cacheKey);
+  }
+
+  const pending = fetchWikiDropData(monsterName)
+    .then(dropData => {
+      if (dropData) {
+        setCachedDrops(cacheKey, dropData);
+      }
+      return dropData;
+    })
+    .finally(() => pendingFetches.delete(cacheKey));
+
+  pendingFetches.set(cacheKey, pending);
+  return pending;
+}
+
+// Error whose message is safe to show to users
+function lookupError(message) {
+  const error = new Error(message);
+  error.userMessage = message;
+  return error;
+}
+
+/**
+ * Fetch and parse a monster's drop tables from the OSRS Wiki.
+ * Returns null when the page has no usable drop data.
+ */
+async function fetchWikiDropData(monsterName) {
+  // First, search for the monster
+  const searchUrl = `https://oldschool.runescape.wiki/api.php?action=query&list=search&srsearch=${encodeURIComponent(monsterName)}&format=json`;
+  const searchResponse = await fetch(searchUrl);
+  
+  if (!searchResponse.ok) {
+    throw new Error(`Search API request failed: ${searchResponse.status}`);
+  }
+  
+  const searchData = await searchResponse.json();
+  
+  if (!searchData.query || !searchData.query.search || !searchData.query.search.length) {
+    throw lookupError(`Could not find monster: "${monsterName}"`);
+  }
+  
+  const pageTitle = searchData.query.search[0].title;
+  
+  // Get the page content with drop tables
+  const contentUrl = `https://oldschool.runescape.wiki/api.php?action=query&prop=revisions&titles=${encodeURIComponent(pageTitle)}&rvprop=content&format=json`;
+  const contentResponse = await fetch(contentUrl);
+  
+  if (!contentResponse.ok) {
+    throw new Error(`Content API request failed: ${contentResponse.status}`);
+  }
+  
+  const contentData = await contentResponse.json();
+  
+  if (!contentData.query || !contentData.query.pages) {
+    throw new Error('Invalid response format from wiki API');
+  }
+  
+  const pages = contentData.query.pages;
+  const pageId = Object.keys(pages)[0];
+  
+  if (pageId === '-1' || !pages[pageId].revisions) {
+    throw lookupError(`Wiki page not found for: "${monsterName}"`);
+  }
+  
+  const content = pages[pageId].revisions[0]['*'];
+  
+  if (!content) {
+    throw lookupError(`No content found for: "${monsterName}"`);
+  }
+  
+  // Parse drop tables from wiki markup
+  const dropData = parseDropTables(content, pageTitle);
+  
+  // Validate that we got some meaningful data
+  if (!dropData || (dropData.always.length === 0 && dropData.main.length === 0 && 
+                    dropData.uniques.length === 0 && dropData.tertiary.length === 0)) {
+    return null;
+  }
+  
+  return dropData;
+}
+
 function parseDropTables(wikiContent, monsterName) {
   const drops = {
     name: monsterName,
@@ -162,55 +290,37 @@ function parseDropTables(wikiContent, monsterName) {
     uniqueTableChance: null // Alternative format (e.g., 1/130)
   };
   
-  // Enhanced regex patterns for parsing drop tables with fallbacks
+  // Prose patterns for mechanics that aren't expressed in drop templates
   const patterns = {
-    // Primary patterns
-    dropsLine: /{{DropsLine\|name=([^|]+)\|quantity=([^|]+)\|rarity=([^|}]+)[^}]*}}/g,
     uniqueTable: /''There is a ([\d/]+) chance of hitting the unique drop table/i,
     uniqueTableAlt: /unique drop table.*?([\d/]+)/i,
-    mainTableRolls: /main drop table.*?(\d+) times?/i,
-    tertiarySection: /===Tertiary===([\s\S]*?)(?:===|{{DropsTableBottom}})/,
-    alwaysSection: /===100%===([\s\S]*?)(?:===|{{DropsTableBottom}})/,
-    uniquesSection: /===Uniques===([\s\S]*?)(?:===|{{DropsTableBottom}})/,
-    
-    // Fallback patterns for different wiki formats
-    dropsLineAlt1: /{{drops\s*line\|([^|}]+)\|([^|}]+)\|([^|}]+)[^}]*}}/gi,
-    dropsLineAlt2: /{{drop\|item=([^|]+)\|quantity=([^|]+)\|rarity=([^|}]+)[^}]*}}/gi,
-    dropsLineAlt3: /\|\s*([^|]+)\s*\|\|\s*([^|]+)\s*\|\|\s*([^|]+)/g, // Table format
-    
-    // Section patterns with variations
-    alwaysSectionAlt1: /===\s*Always\s*===([\s\S]*?)(?:===|{{)/i,
-    alwaysSectionAlt2: /===\s*100\s*%\s*===([\s\S]*?)(?:===|{{)/i,
-    uniquesSectionAlt1: /===\s*Rare\s*drop\s*table\s*===([\s\S]*?)(?:===|{{)/i,
-    uniquesSectionAlt2: /===\s*Unique\s*drops?\s*===([\s\S]*?)(?:===|{{)/i,
-    tertiarySectionAlt1: /===\s*Tertiary\s*drops?\s*===([\s\S]*?)(?:===|{{)/i,
-    
-    // More flexible unique table patterns
     uniqueTableAlt2: /(\d+\/\d+).*?chance.*?unique/i,
-    uniqueTableAlt3: /unique.*?(\d+\/\d+)/i
+    uniqueTableAlt3: /unique.*?(\d+\/\d+)/i,
+    mainTableRolls: /main drop table.*?(\d+) times?/i
   };
   
-  // Parse always drops (100%) - try multiple patterns
-  let alwaysMatch = wikiContent.match(patterns.alwaysSection) ||
-                   wikiContent.match(patterns.alwaysSectionAlt1) ||
-                   wikiContent.match(patterns.alwaysSectionAlt2);
-  if (alwaysMatch) {
-    parseSection(alwaysMatch[1], drops.always, patterns);
-  }
-  
-  // Parse unique drops - try multiple patterns
-  let uniquesMatch = wikiContent.match(patterns.uniquesSection) ||
-                    wikiContent.match(patterns.uniquesSectionAlt1) ||
-                    wikiContent.match(patterns.uniquesSectionAlt2);
-  if (uniquesMatch) {
-    parseSection(uniquesMatch[1], drops.uniques, patterns);
-  }
-  
-  // Parse tertiary drops - try multiple patterns
-  let tertiaryMatch = wikiContent.match(patterns.tertiarySection) ||
-                     wikiContent.match(patterns.tertiarySectionAlt1);
-  if (tertiaryMatch) {
-    parseSection(tertiaryMatch[1], drops.tertiary, patterns);
+  // Walk every drop table on the page and file its lines by section heading
+  const nodes = parseWikitext(wikiContent);
+  const sections = groupBySection(nodes);
+  for (const section of sections) {
+    const target = drops[classifySection(section.heading)];
+    
+    for (const table of extractDropTables(section.templates)) {
+      table.lines.forEach(line => {
+        const drop = parseDropsLine(line);
+        if (drop) {
+          target.push(drop);
+        }
+      });
+      
+      // Templates like {{RareDropTable}} become slots that roll into a shared table
+      table.subtables.forEach(template => {
+        const slot = parseSharedTableSlot(template);
+        if (slot) {
+          target.push(slot);
+        }
+      });
+    }
   }
   
   // Parse unique table mechanics - try multiple patterns
@@ -234,170 +344,144 @@ function parseDropTables(wikiContent, monsterName) {
     drops.mainTableRolls = parseInt(mainRollsMatch[1]) || 1;
   }
   
-  // Set defaults based on monster type
-  if (monsterName.toLowerCase().includes('cerberus')) {
-    drops.mainTableRolls = 2;
-    drops.uniqueTableChance = drops.uniqueTableChance || 1/130;
-  }
-  
-  // Parse main drop table (everything else) - try multiple patterns
-  parseMainDropTable(wikiContent, drops, patterns);
-  
-  // If no drops found, try fallback data for the specific monster
-  if (drops.always.length === 0 && drops.main.length === 0 && drops.uniques.length === 0) {
-    const fallbackData = getFallbackDropData(monsterName);
-    if (fallbackData) {
-      return fallbackData;
+  // Combat level from the infobox (used for Konar brimstone key rates)
+  const infobox = nodes.find(node => node.type === 'template' &&
+    normalizeName(node.name).startsWith('infoboxmonster'));
+  if (infobox) {
+    const combatLevel = parseInt(cleanValue(infobox.params.combat ?? infobox.params.combat1));
+    if (combatLevel > 0) {
+      drops.combatLevel = combatLevel;
     }
-    // If no fallback exists, return empty drops with the correct name
-    drops.name = monsterName;
   }
   
   return drops;
 }
 
-function parseSection(sectionContent, targetArray, patterns) {
-  if (!sectionContent) return;
-  
-  // Try primary pattern first
-  const dropsLineRegex = /{{DropsLine\|name=([^|]+)\|quantity=([^|]+)\|rarity=([^|}]+)[^}]*}}/g;
-  let match;
-  let foundItems = 0;
-  
-  while ((match = dropsLineRegex.exec(sectionContent)) !== null) {
-    const [_, itemName, quantity, rarity] = match;
-    targetArray.push({
-      item: itemName,
-      quantity: parseQuantity(quantity),
-      rarity: parseRarity(rarity),
-      rarityText: rarity
-    });
-    foundItems++;
-  }
-  
-  // If no items found, try alternative patterns
-  if (foundItems === 0) {
-    tryAlternativeParsing(sectionContent, targetArray, patterns);
-  }
+// Map a section heading to the drop category it belongs to
+function classifySection(heading) {
+  const title = (heading || '').toLowerCase();
+  
+  if (/100\s*%|^always/.test(title)) return 'always';
+  if (/unique|pre-roll/.test(title)) return 'uniques';
+  if (/tertiary/.test(title)) return 'tertiary';
+  return 'main';
 }
 
-function tryAlternativeParsing(content, targetArray, patterns) {
-  // Try alternative drop line patterns
-  const altPatterns = [
-    patterns.dropsLineAlt1,
-    patterns.dropsLineAlt2,
-    patterns.dropsLineAlt3
-  ];
+// Build a drop entry from a DropsLine template, reading parameters by name
+function parseDropsLine(template) {
+  const { params, args } = template;
+  const item = cleanValue(params.name ?? params.item ?? args[0]);
+  if (!item) return null;
+  
+  const quantity = params.quantity ?? args[1];
+  const rarity = params.rarity ?? args[2];
+  const drop = {
+    item,
+    quantity: parseQuantity(quantity),
+    rarity: parseRarity(rarity),
+    rarityText: cleanValue(rarity) || 'Unknown'
+  };
   
-  for (const pattern of altPatterns) {
-    let match;
-    pattern.lastIndex = 0; // Reset regex
-    
-    while ((match = pattern.exec(content)) !== null) {
-      if (match.length >= 4) {
-        const [_, itemName, quantity, rarity] = match;
-        if (itemName && itemName.trim() && !itemName.includes('=')) {
-          targetArray.push({
-            item: itemName.trim(),
-            quantity: parseQuantity(quantity),
-            rarity: parseRarity(rarity),
-            rarityText: rarity || 'Unknown'
-          });
-        }
-      }
+  const notes = [params.namenotes, params.raritynotes]
+    .map(cleanValue)
+    .filter(Boolean)
+    .join(' ');
+  if (notes) {
+    drop.notes = notes;
+    // Task, Konar and Wilderness-only drops are only rolled with the matching modifier
+    const conditions = detectConditions(notes);
+    if (conditions) {
+      drop.conditions = conditions;
     }
-    
-    if (targetArray.length > 0) break; // Stop if we found items
   }
+  
+  return drop;
 }
 
-function parseMainDropTable(wikiContent, drops, patterns) {
-  // Try primary pattern first
-  let match;
-  patterns.dropsLine.lastIndex = 0;
-  let foundItems = 0;
-  
-  while ((match = patterns.dropsLine.exec(wikiContent)) !== null) {
-    const [_, itemName, quantity, rarity] = match;
-    
-    // Skip if already in other tables
-    if (drops.always.some(d => d.item === itemName) ||
-        drops.uniques.some(d => d.item === itemName) ||
-        drops.tertiary.some(d => d.item === itemName)) {
-      continue;
-    }
-    
-    const drop = {
-      item: itemName,
-      quantity: parseQuantity(quantity),
-      rarity: parseRarity(rarity),
-      rarityText: rarity
-    };
-    
-    drops.main.push(drop);
-    foundItems++;
-  }
+// Build a table slot from a shared table template such as {{GemDropTable|rarity=5/128}}
+function parseSharedTableSlot(template) {
+  const tableKey = sharedTableForTemplate(normalizeName(template.name));
+  if (!tableKey) return null;
   
-  // If no main drops found, try alternative patterns
-  if (foundItems === 0) {
-    console.log('Primary pattern failed, trying alternatives for main drop table');
-    tryAlternativeParsing(wikiContent, drops.main, patterns);
-    
-    // Filter out items that are in other sections
-    drops.main = drops.main.filter(mainDrop => 
-      !drops.always.some(d => d.item === mainDrop.item) &&
-      !drops.uniques.some(d => d.item === mainDrop.item) &&
-      !drops.tertiary.some(d => d.item === mainDrop.item)
-    );
-  }
+  const rarity = template.params.rarity ?? template.args[0];
+  return {
+    item: getSharedTable(tableKey).name,
+    table: tableKey,
+    quantity: { min: 1, max: 1 },
+    rarity: parseRarity(rarity),
+    rarityText: cleanValue(rarity) || 'Unknown'
+  };
 }
 
+/**
+ * Parse a wiki quantity into { min, max }. Handles ranges ("5-10", "1,000–2,000"),
+ * lists of options ("5;10;20" or "1-3;5", kept as ranges: [{ min, max }])
+ * and notes like "(noted)".
+ */
 function parseQuantity(quantityStr) {
   try {
-    if (!quantityStr) return { min: 1, max: 1 };
+    const text = cleanValue(quantityStr);
+    if (!text) return { min: 1, max: 1 };
     
-    // Remove notes like "(noted)"
-    const cleaned = quantityStr.replace(/\s*\([^)]+\)/g, '').trim();
+    const noted = /noted/i.test(text);
     
-    if (!cleaned) return { min: 1, max: 1 };
+    // Remove notes like "(noted)" and thousands separators
+    const cleaned = text
+      .replace(/\s*\([^)]*\)/g, '')
+      .replace(/,/g, '')
+      .replace(/[–—]/g, '-')
+      .trim();
     
-    if (cleaned.includes('-')) {
-      const parts = cleaned.split('-');
-      if (parts.length >= 2) {
-        const min = parseInt(parts[0]) || 1;
-        const max = parseInt(parts[1]) || min;
-        return { min: Math.min(min, max), max: Math.max(min, max) };
-      }
+    let quantity;
+    
+    if (cleaned.includes(';')) {
+      // Each option may itself be a range ("1-3;5"): one is picked, then rolled within
+      const ranges = cleaned.split(';').map(part => {
+        const { min, max } = parseQuantity(part);
+        return { min, max };
+      });
+      quantity = {
+        min: Math.min(...ranges.map(range => range.min)),
+        max: Math.max(...ranges.map(range => range.max)),
+        ranges
+      };
+    } else if (cleaned.includes('-')) {
+      const [min, max] = cleaned.split('-').map(part => parseInt(part));
+      const low = min || 1;
+      const high = max || low;
+      quantity = { min: Math.min(low, high), max: Math.max(low, high) };
+    } else {
+      const qty = parseInt(cleaned) || 1;
+      quantity = { min: qty, max: qty };
     }
     
-    const qty = parseInt(cleaned) || 1;
-    return { min: qty, max: qty };
+    if (noted) {
+      quantity.noted = true;
+    }
+    return quantity;
   } catch (error) {
     console.warn('Error parsing quantity:', quantityStr, error);
     return { min: 1, max: 1 };
   }
 }
 
+/**
+ * Parse a wiki rarity into its "1 in N" denominator. Handles fractions
+ * ("5/130"), approximations ("~1/512"), multiple rolls ("2 × 1/128"),
+ * percentages and the text rarities used on older pages.
+ */
 function parseRarity(rarityStr) {
   try {
-    if (!rarityStr) return 128; // Default rare
+    const cleaned = cleanValue(rarityStr).replace(/[~≈,]/g, '').trim();
+    if (!cleaned) return 128; // Default rare
     
-    const cleaned = rarityStr.trim();
-    
-    // Handle fraction format (e.g., "1/512", "5/130")
-    if (cleaned.includes('/')) {
-      const parts = cleaned.split('/');
-      if (parts.length >= 2) {
-        const numerator = parseInt(parts[0]) || 1;
-        const denominator = parseInt(parts[1]) || 1;
-        if (denominator > 0 && numerator > 0) {
-          return denominator / numerator; // Convert to drop rate
-        }
-      }
+    const probability = parseProbability(cleaned);
+    if (probability > 0) {
+      return 1 / probability;
     }
     
     // Handle pure numbers
-    const numericValue = parseInt(cleaned);
+    const numericValue = parseFloat(cleaned);
     if (!isNaN(numericValue) && numericValue > 0) {
       return numericValue;
     }
@@ -420,346 +504,24 @@ function parseRarity(rarityStr) {
   }
 }
 
-function runSimulation(dropData, killCount) {
-  const loot = {};
-  const uniqueDrops = [];
-  
-  console.log(`Simulating ${killCount} kills of ${dropData.name}`);
-  
-  // Use optimized simulation for large kill counts
-  if (killCount > 1000) {
-    return runOptimizedSimulation(dropData, killCount, loot, uniqueDrops);
+// Per-roll probability from a fraction, multiplied fraction or percentage
+function parseProbability(text) {
+  const multiplied = text.match(/^(\d+(?:\.\d+)?)\s*[×x*]\s*(.+)$/i);
+  if (multiplied) {
+    return parseFloat(multiplied[1]) * parseProbability(multiplied[2]);
   }
   
-  for (let i = 0; i < killCount; i++) {
-    const killNumber = i + 1;
-    
-    // Always drops (100%)
-    dropData.always.forEach(drop => {
-      const qty = getRandomQuantity(drop.quantity);
-      addToLoot(loot, drop.item, qty);
-    });
-    
-    // Main drop table (dynamic number of rolls)
-    const rollCount = dropData.mainTableRolls || 1;
-    for (let roll = 0; roll < rollCount; roll++) {
-      // Pick one drop from main table based on weights
-      const mainDrop = selectWeightedDrop(dropData.main);
-      if (mainDrop) {
-        const qty = getRandomQuantity(mainDrop.quantity);
-        addToLoot(loot, mainDrop.item, qty);
-      }
-    }
-    
-    // Unique drops (dynamic rate based on monster)
-    if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
-      if (Math.random() < dropData.uniqueTableChance) {
-        // Equal chance for each unique
-        const uniqueDrop = dropData.uniques[Math.floor(Math.random() * dropData.uniques.length)];
-        if (uniqueDrop) {
-          const qty = getRandomQuantity(uniqueDrop.quantity);
-          addToLoot(loot, uniqueDrop.item, qty);
-          uniqueDrops.push({
-            item: uniqueDrop.item,
-            killNumber: killNumber,
-            rarity: uniqueDrop.rarityText
-          });
-        }
-      }
-    } else {
-      // Handle individual unique drops with their own rates
-      dropData.uniques.forEach(uniqueDrop => {
-        if (Math.random() < 1/uniqueDrop.rarity) {
-          const qty = getRandomQuantity(uniqueDrop.quantity);
-          addToLoot(loot, uniqueDrop.item, qty);
-          uniqueDrops.push({
-            item: uniqueDrop.item,
-            killNumber: killNumber,
-            rarity: uniqueDrop.rarityText
-          });
-        }
-      });
-    }
-    
-    // Tertiary drops (independent rolls)
-    dropData.tertiary.forEach(drop => {
-      if (Math.random() < 1/drop.rarity) {
-        const qty = getRandomQuantity(drop.quantity);
-        addToLoot(loot, drop.item, qty);
-        
-        // Track rare tertiary drops
-        if (drop.rarity >= 1000) {
-          uniqueDrops.push({
-            item: drop.item,
-            killNumber: killNumber,
-            rarity: drop.rarityText
-          });
-        }
-      }
-    });
+  const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (fraction) {
+    const numerator = parseFloat(fraction[1]);
+    const denominator = parseFloat(fraction[2]);
+    return denominator > 0 ? numerator / denominator : 0;
   }
   
-  return {
-    monsterName: dropData.name,
-    killCount,
-    loot,
-    uniqueDrops
-  };
-}
-
-function runOptimizedSimulation(dropData, killCount, loot, uniqueDrops) {
-  console.log(`Using optimized simulation for ${killCount} kills`);
-  
-  // Always drops - these happen every kill
-  dropData.always.forEach(drop => {
-    const avgQuantity = (drop.quantity.min + drop.quantity.max) / 2;
-    const totalQuantity = Math.round(avgQuantity * killCount);
-    addToLoot(loot, drop.item, totalQuantity);
-  });
-  
-  // Main drop table - use statistical approximation
-  const rollCount = dropData.mainTableRolls || 1;
-  const totalMainRolls = killCount * rollCount;
-  
-  if (dropData.main.length > 0) {
-    // Pre-calculate weights for better performance
-    const dropsWithWeights = dropData.main.map(drop => {
-      let weight;
-      if (drop.rarityText.includes('/')) {
-        weight = parseInt(drop.rarityText.split('/')[0]) || 1;
-      } else {
-        weight = 1000 / drop.rarity;
-      }
-      return { drop, weight };
-    });
-    
-    const totalWeight = dropsWithWeights.reduce((sum, item) => sum + item.weight, 0);
-    
-    // Calculate expected drops for each item
-    dropsWithWeights.forEach(({ drop, weight }) => {
-      const probability = weight / totalWeight;
-      const expectedDrops = totalMainRolls * probability;
-      const actualDrops = Math.round(expectedDrops + (Math.random() - 0.5) * Math.sqrt(expectedDrops));
-      
-      if (actualDrops > 0) {
-        const avgQuantity = (drop.quantity.min + drop.quantity.max) / 2;
-        const totalQuantity = Math.round(actualDrops * avgQuantity);
-        addToLoot(loot, drop.item, totalQuantity);
-      }
-    });
+  const percentage = text.match(/^(\d+(?:\.\d+)?)\s*%/);
+  if (percentage) {
+    return parseFloat(percentage[1]) / 100;
   }
   
-  // Unique drops - simulate these individually since they're rare
-  if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
-    for (let i = 0; i < killCount; i++) {
-      if (Math.random() < dropData.uniqueTableChance) {
-        const uniqueDrop = dropData.uniques[Math.floor(Math.random() * dropData.uniques.length)];
-        if (uniqueDrop) {
-          const qty = getRandomQuantity(uniqueDrop.quantity);
-          addToLoot(loot, uniqueDrop.item, qty);
-          uniqueDrops.push({
-            item: uniqueDrop.item,
-            killNumber: i + 1,
-            rarity: uniqueDrop.rarityText
-          });
-        }
-      }
-    }
-  } else {
-    // Handle individual unique drops with their own rates
-    dropData.uniques.forEach(uniqueDrop => {
-      const expectedDrops = killCount / uniqueDrop.rarity;
-      const actualDrops = Math.round(expectedDrops + (Math.random() - 0.5) * Math.sqrt(expectedDrops));
-      
-      for (let i = 0; i < actualDrops; i++) {
-        const qty = getRandomQuantity(uniqueDrop.quantity);
-        addToLoot(loot, uniqueDrop.item, qty);
-        // For large kill counts, just pick random kill numbers for unique drops
-        const killNumber = Math.floor(Math.random() * killCount) + 1;
-        uniqueDrops.push({
-          item: uniqueDrop.item,
-          killNumber: killNumber,
-          rarity: uniqueDrop.rarityText
-        });
-      }
-    });
-  }
-  
-  // Tertiary drops - use statistical approximation
-  dropData.tertiary.forEach(drop => {
-    const expectedDrops = killCount / drop.rarity;
-    const actualDrops = Math.round(expectedDrops + (Math.random() - 0.5) * Math.sqrt(expectedDrops));
-    
-    if (actualDrops > 0) {
-      const avgQuantity = (drop.quantity.min + drop.quantity.max) / 2;
-      const totalQuantity = Math.round(actualDrops * avgQuantity);
-      addToLoot(loot, drop.item, totalQuantity);
-      
-      // Track rare tertiary drops as unique drops
-      if (drop.rarity >= 1000) {
-        for (let i = 0; i < actualDrops; i++) {
-          const killNumber = Math.floor(Math.random() * killCount) + 1;
-          uniqueDrops.push({
-            item: drop.item,
-            killNumber: killNumber,
-            rarity: drop.rarityText
-          });
-        }
-      }
-    }
-  });
-  
-  return {
-    monsterName: dropData.name,
-    killCount,
-    loot,
-    uniqueDrops
-  };
+  return 0;
 }
-
-function getRandomQuantity(quantity) {
-  if (quantity.min === quantity.max) {
-    return quantity.min;
-  }
-  return Math.floor(Math.random() * (quantity.max - quantity.min + 1)) + quantity.min;
-}
-
-function addToLoot(loot, item, quantity) {
-  loot[item] = (loot[item] || 0) + quantity;
-}
-
-function selectWeightedDrop(drops) {
-  if (!drops.length) return null;
-  if (drops.length === 1) return drops[0];
-  
-  // Calculate weights more consistently
-  const dropsWithWeights = drops.map(drop => {
-    let weight;
-    
-    if (drop.rarityText.includes('/')) {
-      // For fractional rarities like "5/130", weight is the numerator (relative frequency)
-      const numerator = parseInt(drop.rarityText.split('/')[0]) || 1;
-      weight = numerator;
-    } else {
-      // For numeric rarities, weight is inverse of rarity (1/rarity gives probability)
-      // Multiply by large number to avoid very small weights
-      weight = 1000 / drop.rarity;
-    }
-    
-    return { drop, weight };
-  });
-  
-  // Calculate total weight
-  const totalWeight = dropsWithWeights.reduce((sum, item) => sum + item.weight, 0);
-  
-  if (totalWeight === 0) return drops[0]; // Safety fallback
-  
-  // Select random drop based on weights
-  let random = Math.random() * totalWeight;
-  
-  for (const item of dropsWithWeights) {
-    random -= item.weight;
-    if (random <= 0) {
-      return item.drop;
-    }
-  }
-  
-  // Should never reach here, but safety fallback
-  return drops[drops.length - 1];
-}
-
-// Fallback drop data for common monsters
-function getFallbackDropData(monsterName) {
-  const name = monsterName.toLowerCase();
-  
-  if (name.includes('cerberus')) {
-    return getCerberusHardcodedDrops();
-  }
-  
-  // Add more fallback data for common monsters
-  if (name.includes('kbd') || name.includes('king black dragon')) {
-    return {
-      name: 'King Black Dragon',
-      mainTableRolls: 1,
-      uniqueTableChance: null,
-      always: [
-        { item: 'Dragon bones', quantity: { min: 1, max: 1 }, rarity: 1, rarityText: 'Always' }
-      ],
-      uniques: [
-        { item: 'Dragon pickaxe', quantity: { min: 1, max: 1 }, rarity: 1500, rarityText: '1/1500' },
-        { item: 'Kbd heads', quantity: { min: 1, max: 1 }, rarity: 128, rarityText: '1/128' }
-      ],
-      main: [
-        { item: 'Coins', quantity: { min: 1000, max: 6000 }, rarity: 4, rarityText: 'Common' },
-        { item: 'Adamant platebody', quantity: { min: 1, max: 1 }, rarity: 64, rarityText: 'Uncommon' },
-        { item: 'Rune longsword', quantity: { min: 1, max: 1 }, rarity: 64, rarityText: 'Uncommon' }
-      ],
-      tertiary: [
-        { item: 'Clue scroll (elite)', quantity: { min: 1, max: 1 }, rarity: 450, rarityText: '1/450' }
-      ]
-    };
-  }
-  
-  return null;
-}
-
-// Hardcoded Cerberus drops based on the wiki data provided
-function getCerberusHardcodedDrops() {
-  return {
-    name: 'Cerberus',
-    mainTableRolls: 2,
-    uniqueTableChance: 1/130,
-    always: [
-      { item: 'Infernal ashes', quantity: { min: 1, max: 1 }, rarity: 1, rarityText: 'Always' }
-    ],
-    uniques: [
-      { item: 'Primordial crystal', quantity: { min: 1, max: 1 }, rarity: 520, rarityText: '1/520' },
-      { item: 'Pegasian crystal', quantity: { min: 1, max: 1 }, rarity: 520, rarityText: '1/520' },
-      { item: 'Eternal crystal', quantity: { min: 1, max: 1 }, rarity: 520, rarityText: '1/520' },
-      { item: 'Smouldering stone', quantity: { min: 1, max: 1 }, rarity: 520, rarityText: '1/520' }
-    ],
-    main: [
-      // Weapons and armour
-      { item: 'Rune platebody', quantity: { min: 1, max: 1 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Rune chainbody', quantity: { min: 1, max: 1 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Rune 2h sword', quantity: { min: 1, max: 1 }, rarity: 32.5, rarityText: '4/130' },
-      { item: "Black d'hide body", quantity: { min: 1, max: 1 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Rune axe', quantity: { min: 1, max: 1 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Rune pickaxe', quantity: { min: 1, max: 1 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Battlestaff', quantity: { min: 6, max: 6 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Rune full helm', quantity: { min: 1, max: 1 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Lava battlestaff', quantity: { min: 1, max: 1 }, rarity: 65, rarityText: '2/130' },
-      { item: 'Rune halberd', quantity: { min: 1, max: 1 }, rarity: 65, rarityText: '2/130' },
-      // Runes and ammunition
-      { item: 'Fire rune', quantity: { min: 300, max: 300 }, rarity: 21.67, rarityText: '6/130' },
-      { item: 'Soul rune', quantity: { min: 100, max: 100 }, rarity: 21.67, rarityText: '6/130' },
-      { item: 'Pure essence', quantity: { min: 300, max: 300 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Blood rune', quantity: { min: 60, max: 60 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Cannonball', quantity: { min: 50, max: 50 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Runite bolts (unf)', quantity: { min: 40, max: 40 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Death rune', quantity: { min: 100, max: 100 }, rarity: 43.33, rarityText: '3/130' },
-      // Other
-      { item: 'Coal', quantity: { min: 120, max: 120 }, rarity: 21.67, rarityText: '6/130' },
-      { item: 'Super restore(4)', quantity: { min: 2, max: 2 }, rarity: 21.67, rarityText: '6/130' },
-      { item: 'Summer pie', quantity: { min: 3, max: 3 }, rarity: 21.67, rarityText: '6/130' },
-      { item: 'Coins', quantity: { min: 10000, max: 20000 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Dragon bones', quantity: { min: 20, max: 20 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Unholy symbol', quantity: { min: 1, max: 1 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Wine of zamorak', quantity: { min: 15, max: 15 }, rarity: 26, rarityText: '5/130' },
-      { item: 'Ashes', quantity: { min: 50, max: 50 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Fire orb', quantity: { min: 20, max: 20 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Grimy torstol', quantity: { min: 6, max: 6 }, rarity: 32.5, rarityText: '4/130' },
-      { item: 'Runite ore', quantity: { min: 5, max: 5 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Uncut diamond', quantity: { min: 5, max: 5 }, rarity: 43.33, rarityText: '3/130' },
-      { item: 'Torstol seed', quantity: { min: 3, max: 3 }, rarity: 65, rarityText: '2/130' },
-      { item: 'Ranarr seed', quantity: { min: 2, max: 2 }, rarity: 65, rarityText: '2/130' },
-      { item: 'Key master teleport', quantity: { min: 7, max: 7 }, rarity: 65, rarityText: '2/130' }
-    ],
-    tertiary: [
-      { item: 'Ensouled hellhound head', quantity: { min: 1, max: 1 }, rarity: 15, rarityText: '1/15' },
-      { item: 'Clue scroll (elite)', quantity: { min: 1, max: 1 }, rarity: 100, rarityText: '1/100' },
-      { item: 'Jar of souls', quantity: { min: 1, max: 1 }, rarity: 2000, rarityText: '1/2000' },
-      { item: 'Hellpuppy', quantity: { min: 1, max: 1 }, rarity: 3000, rarityText: '1/3000' }
-    ]
-  };
-}
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { getSharedTable } from './sharedTables.js';
+import { scoreMatches } from './fuzzy.js';
+import { isTrackedTertiary } from './simulation.js';
+
+// Exact drop probabilities derived from parsed drop data
+
+// Score of a name that starts with the query, or whose words all do ("vork head")
+const WORD_MATCH_SCORE = 60;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Per-kill probability of receiving each item at least once, following the
+ * same rules as the simulator: main table rolls mainTableRolls times (through
+ * any shared tables), uniques come from the unique table or their own rates,
+ * and tertiaries roll independently. Returns [{ item, chance, rarityText }].
+ */
+export function getDropChances(dropData) {
+  const chances = new Map();
+
+  function add(item, chance, rarityText) {
+    if (item === 'Nothing' || chance <= 0) return;
+    const existing = chances.get(item);
+    if (existing) {
+      // Independent sources of the same item: P(any) = 1 - P(none)
+      existing.chance = 1 - (1 - existing.chance) * (1 - chance);
+      existing.rarityText = null;
+    } else {
+      chances.set(item, { item, chance, rarityText });
+    }
+  }
+
+  dropData.always.forEach(drop => add(drop.item, 1, drop.rarityText));
+
+  const rolls = dropData.mainTableRolls || 1;
+  for (const [item, perRoll] of getRollChances(dropData.main)) {
+    add(item, 1 - Math.pow(1 - perRoll, rolls), null);
+  }
+
+  if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
+    const perUnique = dropData.uniqueTableChance / dropData.uniques.length;
+    dropData.uniques.forEach(drop => add(drop.item, perUnique, null));
+  } else {
+    dropData.uniques.forEach(drop => add(drop.item, 1 / drop.rarity, drop.rarityText));
+  }
+
+  dropData.tertiary.forEach(drop => {
+    for (const [item, chance] of expandDrop(drop, 1 / drop.rarity)) {
+      add(item, chance, drop.table ? null : drop.rarityText);
+    }
+  });
+
+  return [...chances.values()];
+}
+
+// Probability of each item on a single weighted roll of a table
+function getRollChances(drops) {
+  const totalWeight = drops.reduce((sum, drop) => sum + 1 / drop.rarity, 0);
+  const chances = new Map();
+  if (totalWeight === 0) return chances;
+
+  for (const drop of drops) {
+    for (const [item, chance] of expandDrop(drop, (1 / drop.rarity) / totalWeight)) {
+      chances.set(item, (chances.get(item) || 0) + chance);
+    }
+  }
+
+  return chances;
+}
+
+// Spread a slot's probability over the items of the shared table it points at
+function expandDrop(drop, chance) {
+  if (!drop.table) return [[drop.item, chance]];
+
+  const table = getSharedTable(drop.table);
+  if (!table) return [];
+
+  return [...getRollChances(table.entries)].map(([item, inner]) => [item, chance * inner]);
+}
+
+/**
+ * Expected number of entries in a simulation's uniqueDrops over killCount
+ * kills: unique table hits (or individual unique rolls) plus the rare
+ * tertiaries the simulator tracks alongside them.
+ */
+export function expectedUniqueDrops(dropData, killCount) {
+  let perKill = 0;
+
+  if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
+    perKill += dropData.uniqueTableChance;
+  } else {
+    perKill += dropData.uniques.reduce((sum, drop) => sum + 1 / drop.rarity, 0);
+  }
+
+  perKill += dropData.tertiary
+    .filter(isTrackedTertiary)
+    .reduce((sum, drop) => sum + 1 / drop.rarity, 0);
+
+  return perKill * killCount;
+}
+
+/**
+ * Look up an item's per-kill chance by name. Only an exact name, or a partial
+ * one that fits a single drop, is answered; typos and partial names fitting
+ * several drops get suggestions instead, so the odds are never given for an
+ * item the user didn't mean. Returns { match, suggestions } where match is a
+ * getDropChances entry or null.
+ */
+export function findItemChance(dropData, itemName) {
+  const chances = getDropChances(dropData).map(c => ({ name: c.item, chance: c }));
+  const matches = scoreMatches(itemName, chances, MAX_SUGGESTIONS);
+  const [best, next] = matches;
+
+  const unambiguous = best && (best.score === 100 ||
+    (best.score >= WORD_MATCH_SCORE && !(next?.score >= WORD_MATCH_SCORE)));
+  if (unambiguous) {
+    return { match: best.candidate.chance, suggestions: [] };
+  }
+  return { match: null, suggestions: matches.map(m => m.candidate.name) };
+}
+
+/**
+ * Dry-streak statistics for an item with a per-kill chance after killCount kills:
+ * probability of having it by now, expected and median kc, and the share of
+ * players who would still be dry at this kc.
+ */
+export function calculateDryness(chance, killCount) {
+  const receivedChance = 1 - Math.pow(1 - chance, killCount);
+
+  return {
+    chance,
+    killCount,
+    receivedChance,
+    dryChance: 1 - receivedChance,
+    expectedKc: 1 / chance,
+    medianKc: chance >= 1 ? 1 : Math.ceil(Math.log(0.5) / Math.log(1 - chance)),
+    // Drop rate multiples of the current streak ("3.2x drop rate")
+    timesRate: killCount * chance,
+  };
+}
+
+// "1/520" style display of a probability
+export function formatChance(chance) {
+  if (chance >= 1) return 'Always';
+  const denominator = 1 / chance;
+  return `1/${denominator >= 100 ? Math.round(denominator).toLocaleString() : denominator.toFixed(1)}`;
+}
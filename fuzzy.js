@@ -0,0 +1,91 @@
+// Fuzzy name matching for autocomplete and lookups
+
+// Lowercase and collapse punctuation/whitespace so "Kree'arra" matches "kreearra"
+export function normalizeQuery(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9()+%]+/g, ' ')
+    .trim();
+}
+
+// Levenshtein edit distance between two strings
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how well a normalized query matches a normalized name, from 0 (no
+ * match) to 100 (exact). Exact beats prefix beats word-prefix beats
+ * substring beats typo-tolerant matches.
+ */
+export function scoreMatch(query, name) {
+  if (!query) return 1;
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80 + 10 * (query.length / name.length);
+
+  const words = name.split(' ');
+  const queryWords = query.split(' ');
+  if (queryWords.every(q => words.some(w => w.startsWith(q)))) {
+    return 60 + 10 * (query.length / name.length);
+  }
+
+  if (name.includes(query)) return 50;
+
+  // Typo tolerance: compare against the whole name and against each word.
+  // Edit distance is at least the length difference, so skip hopeless comparisons
+  const maxDistance = Math.max(1, Math.floor(query.length / 3));
+  const distanceTo = (text) => Math.abs(text.length - query.length) > maxDistance
+    ? Infinity
+    : editDistance(query, text);
+  const distance = Math.min(
+    distanceTo(name),
+    ...words.map(distanceTo),
+    distanceTo(name.slice(0, query.length))
+  );
+  if (distance <= maxDistance) {
+    return 40 * (1 - distance / (maxDistance + 1));
+  }
+
+  return 0;
+}
+
+/**
+ * Rank candidates ({ name, aliases }) against a query. Aliases count as
+ * slightly weaker than the real name. Returns the best matches first.
+ */
+export function rankMatches(query, candidates, limit = 25) {
+  return scoreMatches(query, candidates, limit).map(match => match.candidate);
+}
+
+// Same ranking as rankMatches, keeping each match's score ([{ candidate, score }])
+export function scoreMatches(query, candidates, limit = 25) {
+  const normalized = normalizeQuery(query);
+
+  return candidates
+    .map(candidate => {
+      const nameScore = scoreMatch(normalized, normalizeQuery(candidate.name));
+      const aliasScore = Math.max(
+        0,
+        ...(candidate.aliases || []).map(alias => scoreMatch(normalized, normalizeQuery(alias)) - 5)
+      );
+      return { candidate, score: Math.max(nameScore, aliasScore) };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.candidate.name.length - b.candidate.name.length)
+    .slice(0, limit);
+}
@@ -0,0 +1,255 @@
+import { fetchItemMapping } from './prices.js';
+import { normalizeQuery, rankMatches, scoreMatches } from './fuzzy.js';
+
+// In-memory search index over the GE item mapping, rebuilt on a schedule so
+// lookups and autocomplete never wait on the prices API
+
+const REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+// Matches scoring within this much of the best are treated as equally likely
+const AMBIGUITY_MARGIN = 10;
+// Exact names score 100 and exact abbreviations 95
+const EXACT_SCORE = 95;
+const MAX_CANDIDATES = 10;
+// Names shorter than this are too likely to be ordinary words when scanning text
+const MIN_SCAN_LENGTH = 4;
+
+// Single-word item names and nicknames that are everyday words in chat. Names
+// here are never picked out of free text on their own, and nicknames here only
+// count next to a quantity ("2 shadows")
+const COMMON_WORD_NAMES = new Set([
+  'ashes', 'bag', 'bar', 'beer', 'book', 'bowl', 'box', 'bread', 'brew', 'bucket',
+  'cake', 'cape', 'chest', 'claws', 'clay', 'coal', 'coins', 'egg', 'fang', 'feather',
+  'fury', 'gem', 'glass', 'hammer', 'jug', 'key', 'knife', 'log', 'logs', 'maul',
+  'milk', 'needle', 'note', 'orb', 'paper', 'pot', 'ring', 'rock', 'rope', 'sack',
+  'shadow', 'shield', 'spade', 'stick', 'tent', 'thread', 'token', 'torture', 'water', 'wine',
+]);
+
+// Nicknames players use for popular items
+const ITEM_ABBREVIATIONS = {
+  'Abyssal tentacle': ['tent'],
+  'Abyssal whip': ['whip'],
+  'Amulet of fury': ['fury'],
+  'Amulet of torture': ['torture'],
+  'Armadyl chestplate': ['acp'],
+  'Armadyl chainskirt': ['acs'],
+  'Armadyl crossbow': ['acb'],
+  'Armadyl godsword': ['ags'],
+  'Bandos chestplate': ['bcp'],
+  'Bandos godsword': ['bgs'],
+  'Bandos tassets': ['tassets', 'tassy'],
+  'Dark bow': ['dbow'],
+  'Dragon claws': ['dclaws', 'claws'],
+  'Dragon crossbow': ['dcb'],
+  'Dragon dagger': ['dds'],
+  'Dragon hunter crossbow': ['dhcb'],
+  'Dragon hunter lance': ['dhl'],
+  'Dragon pickaxe': ['dpick'],
+  'Dragon warhammer': ['dwh'],
+  'Dragonfire shield': ['dfs'],
+  'Elder maul': ['maul'],
+  'Eternal boots': ['eternals'],
+  'Ghrazi rapier': ['rapier'],
+  'Kodai wand': ['kodai'],
+  'Necklace of anguish': ['anguish'],
+  "Osmumten's fang": ['fang'],
+  'Pegasian boots': ['pegs'],
+  'Prayer potion(4)': ['ppot'],
+  'Primordial boots': ['prims'],
+  'Sanguinesti staff (uncharged)': ['sang'],
+  'Saradomin brew(4)': ['brew', 'sara brew'],
+  'Saradomin godsword': ['sgs'],
+  'Scythe of vitur (uncharged)': ['scythe'],
+  'Staff of the dead': ['sotd'],
+  'Super combat potion(4)': ['scb', 'super combat'],
+  'Toxic blowpipe (empty)': ['bp', 'blowpipe'],
+  'Toxic staff of the dead': ['tsotd'],
+  'Tormented bracelet': ['tormented'],
+  "Tumeken's shadow (uncharged)": ['shadow'],
+  'Twisted bow': ['tbow'],
+  'Zamorak godsword': ['zgs'],
+  'Zaryte crossbow': ['zcb'],
+};
+
+let itemIndex = null;
+let pendingBuild = null;
+
+function buildIndex(items) {
+  const abbreviations = new Map(
+    Object.entries(ITEM_ABBREVIATIONS).map(([name, aliases]) => [name.toLowerCase(), aliases])
+  );
+
+  const entries = items.map(item => ({
+    name: item.name,
+    aliases: abbreviations.get(item.name.toLowerCase()) || [],
+    item,
+  }));
+
+  // Normalized names and abbreviations for spotting items in free text. Names
+  // of several words are specific enough to match anywhere; single words need
+  // a quantity next to them ("3 cannonballs") unless they're a nickname
+  const byPhrase = new Map();
+  for (const entry of entries) {
+    const phrases = [
+      { phrase: normalizeQuery(entry.name), alias: false },
+      ...entry.aliases.map(alias => ({ phrase: normalizeQuery(alias), alias: true })),
+    ];
+    for (const { phrase, alias } of phrases) {
+      const singleWord = !phrase.includes(' ');
+      if (byPhrase.has(phrase) || (!alias && phrase.length < MIN_SCAN_LENGTH)) continue;
+      if (singleWord && !alias && COMMON_WORD_NAMES.has(phrase)) continue;
+
+      byPhrase.set(phrase, {
+        item: entry.item,
+        needsQuantity: singleWord && (!alias || COMMON_WORD_NAMES.has(phrase)),
+      });
+    }
+  }
+
+  return {
+    entries,
+    byPhrase,
+    maxPhraseWords: Math.max(1, ...[...byPhrase.keys()].map(phrase => phrase.split(' ').length)),
+    builtAt: Date.now(),
+  };
+}
+
+// Rebuild the index from the latest mapping (shared by concurrent callers).
+// The mapping cache is skipped so a refresh never gets back the mapping it's replacing
+export function refreshItemIndex() {
+  if (!pendingBuild) {
+    pendingBuild = fetchItemMapping({ fresh: true })
+      .then(items => {
+        itemIndex = buildIndex(items);
+        return itemIndex;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return pendingBuild;
+}
+
+// The current index, building it on first use
+export async function loadItemIndex() {
+  return itemIndex || refreshItemIndex();
+}
+
+/**
+ * Rank items by how well their name (or a common abbreviation like "bgs")
+ * matches the query: exact, prefix, word prefix, substring, then typos.
+ * Returns mapping entries ({ id, name, limit, highalch, ... }), best first.
+ */
+export async function searchItems(query, limit = 25) {
+  const index = await loadItemIndex();
+  return rankMatches(query, index.entries, limit).map(entry => entry.item);
+}
+
+/**
+ * Resolve a query to its best item along with any other items it could mean.
+ * An exact name or abbreviation is a confident match, but its variants
+ * ("Dragon dagger(p++)" for "dragon dagger") are still offered; otherwise every
+ * match scoring close to the best is a candidate.
+ * Returns { item, exact, candidates } where candidates is empty when unambiguous.
+ */
+export async function resolveItem(query) {
+  const index = await loadItemIndex();
+  const ranked = scoreMatches(query, index.entries, 25);
+  if (ranked.length === 0) {
+    return { item: null, exact: false, candidates: [] };
+  }
+
+  const [best, ...rest] = ranked;
+  const exact = best.score >= EXACT_SCORE;
+  const baseName = best.candidate.name.toLowerCase();
+  const alternatives = exact
+    ? rest.filter(match => match.candidate.name.toLowerCase().startsWith(baseName))
+    : rest.filter(match => match.score >= best.score - AMBIGUITY_MARGIN);
+
+  return {
+    item: best.candidate.item,
+    exact,
+    candidates: alternatives.length > 0
+      ? [best, ...alternatives].slice(0, MAX_CANDIDATES).map(match => match.candidate.item)
+      : [],
+  };
+}
+
+// Item from the index by its ID, or null
+export async function getItemById(id) {
+  const index = await loadItemIndex();
+  const entry = index.entries.find(e => e.item.id === id);
+  return entry ? entry.item : null;
+}
+
+// "5", "5x", "x5", "1.5k" -> quantity, or null
+function parseQuantityWord(word) {
+  const match = word?.match(/^x?(\d+(?:\.\d+)?)([km])?x?$/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * ({ k: 1e3, m: 1e6 }[match[2]] || 1));
+}
+
+/**
+ * Quantity written around the words[start, end) naming an item: "5 bgs",
+ * "5x bgs", "bgs x5" or "bgs x 5". Words before `from` belong to an earlier
+ * match. Returns { quantity, end } with end past any quantity words used;
+ * quantity is null when there isn't one.
+ */
+function quantityAround(words, start, end, from) {
+  const beforeIndex = words[start - 1] === 'x' ? start - 2 : start - 1;
+  const before = beforeIndex >= from ? parseQuantityWord(words[beforeIndex]) : null;
+  if (before !== null) return { quantity: before, end };
+
+  // A bare number after a name is more often a price than a quantity, so require the x
+  if (words[end] === 'x' && parseQuantityWord(words[end + 1]) !== null) {
+    return { quantity: parseQuantityWord(words[end + 1]), end: end + 2 };
+  }
+  if (words[end]?.startsWith('x') && parseQuantityWord(words[end]) !== null) {
+    return { quantity: parseQuantityWord(words[end]), end: end + 1 };
+  }
+  return { quantity: null, end };
+}
+
+/**
+ * Find items mentioned in free text, such as a chat message, by exact name or
+ * common abbreviation ("anyone know what 2 bcps go for?"). Longer names win
+ * over shorter ones inside them, plurals ending in "s" count, and a quantity
+ * written next to a name ("3x", "x3", "10k") is picked up. Single-word names
+ * are only matched with a quantity, so everyday words aren't priced.
+ * Returns [{ item, quantity }] in the order they appear.
+ */
+export async function findItemsInText(text) {
+  const index = await loadItemIndex();
+  // Drop thousands separators first so "1,000" stays one word
+  const words = normalizeQuery(text.replace(/(\d),(?=\d{3}\b)/g, '$1')).split(' ').filter(Boolean);
+  const found = [];
+  // Words before this are already part of a match
+  let from = 0;
+
+  for (let i = 0; i < words.length; i++) {
+    for (let n = Math.min(index.maxPhraseWords, words.length - i); n >= 1; n--) {
+      const phrase = words.slice(i, i + n).join(' ');
+      const match = index.byPhrase.get(phrase) ||
+        (phrase.endsWith('s') ? index.byPhrase.get(phrase.slice(0, -1)) : undefined);
+      if (!match) continue;
+
+      const { quantity, end } = quantityAround(words, i, i + n, from);
+      if (quantity === null && match.needsQuantity) continue;
+      found.push({ item: match.item, quantity: quantity ?? 1 });
+      from = end;
+      i = end - 1;
+      break;
+    }
+  }
+  return found;
+}
+
+// Keep the index fresh in the background; a failed refresh keeps the old index
+export function startItemIndexRefresh(interval = REFRESH_INTERVAL) {
+  refreshItemIndex().catch(error => console.error('Error building item index:', error));
+
+  const timer = setInterval(() => {
+    refreshItemIndex().catch(error => console.error('Error refreshing item index:', error));
+  }, interval);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,82 @@
+import { existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Directory for persisted bot state (override with DATA_DIR in .env)
+export const DATA_DIR = process.env.DATA_DIR || path.resolve('data');
+
+// Read a JSON file from the data directory, returning fallback if missing or corrupt
+export function loadJson(fileName, fallback) {
+  const filePath = path.join(DATA_DIR, fileName);
+  if (!existsSync(filePath)) return fallback;
+
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${filePath}, starting fresh:`, err);
+    return fallback;
+  }
+}
+
+// Latest write queued for each file, so writes to one file run one at a time
+const writeQueues = new Map();
+// Flush functions of debounced saves that are waiting on their timer
+const pendingSaves = new Set();
+
+// Write a JSON file atomically (write to a temp file, then rename over the original)
+async function writeJson(fileName, json) {
+  mkdirSync(DATA_DIR, { recursive: true });
+  const filePath = path.join(DATA_DIR, fileName);
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, json);
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * Save data to a JSON file in the data directory. Saves of the same file are
+ * queued behind each other so their temp-file writes and renames never overlap.
+ */
+export function saveJson(fileName, data) {
+  const json = JSON.stringify(data);
+  const previous = writeQueues.get(fileName) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeJson(fileName, json));
+
+  writeQueues.set(fileName, write);
+  write
+    .finally(() => {
+      if (writeQueues.get(fileName) === write) writeQueues.delete(fileName);
+    })
+    .catch(() => {});
+  return write;
+}
+
+/**
+ * Returns a function that saves the result of getData() to fileName, batching
+ * calls made within delay ms into one write so hot paths don't hit the disk
+ */
+export function createDebouncedSave(fileName, getData, delay = 1000) {
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    pendingSaves.delete(flush);
+    return saveJson(fileName, getData()).catch(err => {
+      console.error(`Error saving ${fileName}:`, err);
+    });
+  }
+
+  return function scheduleSave() {
+    if (timer) return;
+    timer = setTimeout(flush, delay);
+    pendingSaves.add(flush);
+  };
+}
+
+// Write every pending debounced save now and wait for all queued writes, e.g. before exiting
+export async function flushSaves() {
+  for (const flush of [...pendingSaves]) {
+    flush();
+  }
+  await Promise.allSettled([...writeQueues.values()]);
+}
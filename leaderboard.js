@@ -0,0 +1,125 @@
+import { loadJson, createDebouncedSave } from './jsonStore.js';
+import { isPet } from './monsters.js';
+
+// Per-guild luck leaderboards fed by /kill runs, persisted to disk
+const LEADERBOARD_FILE = 'leaderboards.json';
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+// Runs are only kept individually as long as the weekly window needs them
+const RECENT_RUN_RETENTION = WEEK + 24 * 60 * 60 * 1000;
+// Users need at least this many expected uniques before luck is meaningful
+const MIN_EXPECTED_UNIQUES = 1;
+
+const guilds = loadJson(LEADERBOARD_FILE, {});
+const scheduleSave = createDebouncedSave(LEADERBOARD_FILE, () => guilds);
+
+// Keep a pet drop if it's the user's lowest-kc one for that pet and monster
+function recordPet(pets, pet) {
+  const key = `${pet.monster}:${pet.item}`;
+  if (!pets[key] || pet.kc < pets[key].kc) {
+    pets[key] = pet;
+  }
+}
+
+// Older files kept every pet drop in a list; reduce them to each user's best
+for (const guild of Object.values(guilds)) {
+  for (const user of Object.values(guild.users)) {
+    if (Array.isArray(user.pets)) {
+      const pets = {};
+      user.pets.forEach(pet => recordPet(pets, pet));
+      user.pets = pets;
+    }
+  }
+}
+
+function getGuild(guildId) {
+  if (!guilds[guildId]) {
+    guilds[guildId] = { users: {}, recentRuns: [] };
+  }
+  return guilds[guildId];
+}
+
+/**
+ * Record a simulateKills result for a guild member. All-time totals are kept
+ * per user; individual runs are kept for a week for the weekly window.
+ */
+export function recordRun(guildId, userId, result) {
+  const guild = getGuild(guildId);
+  const now = Date.now();
+  const user = guild.users[userId] ||
+    (guild.users[userId] = { kills: 0, uniques: 0, expectedUniques: 0, killCounts: {}, pets: {} });
+
+  const previousKc = user.killCounts[result.monsterName] || 0;
+  // Same drops expectedUniques counts: uniques plus rare tertiaries such as pets
+  const uniques = (result.uniqueDrops || []).length;
+  const expectedUniques = result.expectedUniques || 0;
+
+  user.kills += result.killCount;
+  user.uniques += uniques;
+  user.expectedUniques += expectedUniques;
+  user.killCounts[result.monsterName] = previousKc + result.killCount;
+
+  for (const drop of result.uniqueDrops || []) {
+    if (isPet(drop.item)) {
+      recordPet(user.pets, { item: drop.item, monster: result.monsterName, kc: previousKc + drop.killNumber, at: now });
+    }
+  }
+
+  guild.recentRuns = guild.recentRuns.filter(run => now - run.at < RECENT_RUN_RETENTION);
+  guild.recentRuns.push({ userId, kills: result.killCount, uniques, expectedUniques, at: now });
+
+  scheduleSave();
+}
+
+/**
+ * Rank a guild's members. category is 'luck' (actual vs expected uniques),
+ * 'kills' (total simulated kills) or 'pet' (each member's lowest kill count
+ * for any pet); window is 'week' or 'all'. Returns [{ userId, ...stats }] best first.
+ */
+export function getLeaderboard(guildId, category, window = 'all', limit = 10) {
+  const guild = guilds[guildId];
+  if (!guild) return [];
+
+  const since = window === 'week' ? Date.now() - WEEK : 0;
+
+  if (category === 'pet') {
+    return Object.entries(guild.users)
+      .flatMap(([userId, user]) => {
+        const [best] = Object.values(user.pets)
+          .filter(pet => pet.at >= since)
+          .sort((a, b) => a.kc - b.kc);
+        return best ? [{ userId, ...best }] : [];
+      })
+      .sort((a, b) => a.kc - b.kc)
+      .slice(0, limit);
+  }
+
+  const totals = window === 'week' ? sumRecentRuns(guild, since) : guild.users;
+  const rows = Object.entries(totals).map(([userId, t]) => ({
+    userId,
+    kills: t.kills,
+    uniques: t.uniques,
+    expectedUniques: t.expectedUniques,
+    luck: t.expectedUniques > 0 ? t.uniques / t.expectedUniques : 0,
+  }));
+
+  if (category === 'kills') {
+    return rows.sort((a, b) => b.kills - a.kills).slice(0, limit);
+  }
+
+  return rows
+    .filter(row => row.expectedUniques >= MIN_EXPECTED_UNIQUES)
+    .sort((a, b) => b.luck - a.luck)
+    .slice(0, limit);
+}
+
+function sumRecentRuns(guild, since) {
+  const totals = {};
+  for (const run of guild.recentRuns) {
+    if (run.at < since) continue;
+    const t = totals[run.userId] || (totals[run.userId] = { kills: 0, uniques: 0, expectedUniques: 0 });
+    t.kills += run.kills;
+    t.uniques += run.uniques;
+    t.expectedUniques += run.expectedUniques;
+  }
+  return totals;
+}
@@ -0,0 +1,109 @@
+import { createRng, randomSeed } from './rng.js';
+import { isTrackedTertiary } from './simulation.js';
+
+// Collection log completion Monte Carlo
+
+/**
+ * Repeatedly simulate until every unique (and optionally every rare tertiary
+ * such as pets) has dropped at least once, and summarise the kill counts.
+ *
+ * This doesn't loop runSimulation kill by kill, which would take minutes for
+ * rare logs, but it rolls the same drops the same way: the items are the ones
+ * runSimulation reports as unique drops (isTrackedTertiary), each kill rolls
+ * the unique table or each unique independently, and tertiaries are
+ * independent of everything else. Under that independence the kill of each
+ * first drop is drawn directly from a geometric distribution, and unique
+ * table hits are walked hit by hit, so a trial costs a handful of random
+ * numbers however many kills it takes.
+ *
+ * dropData should already have applyModifiers applied, which covers drop
+ * conditions, combat achievement rates and Konar's brimstone key. Ring of
+ * wealth only changes shared tables and quantities don't affect completion,
+ * so neither is modelled here.
+ */
+export function simulateLogCompletion(dropData, options = {}) {
+  const trials = options.trials || 1000;
+  const seed = options.seed ?? randomSeed();
+  const rng = createRng(seed);
+
+  const rares = options.includeRares
+    ? dropData.tertiary.filter(isTrackedTertiary)
+    : [];
+  const items = [...new Set([...dropData.uniques, ...rares].map(drop => drop.item))];
+
+  if (items.length === 0) {
+    return { error: `${dropData.name} has no unique drops to collect` };
+  }
+
+  const killCounts = [];
+  const lastItemCounts = {};
+
+  for (let trial = 0; trial < trials; trial++) {
+    const firstDrops = new Map();
+
+    const record = (item, kc) => {
+      if (!firstDrops.has(item) || kc < firstDrops.get(item)) {
+        firstDrops.set(item, kc);
+      }
+    };
+
+    if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
+      // Walk unique table hits until every unique has been picked once
+      const needed = new Set(dropData.uniques.map(drop => drop.item));
+      let kc = 0;
+      while (needed.size > 0) {
+        kc += sampleGeometric(rng, dropData.uniqueTableChance);
+        const drop = dropData.uniques[Math.floor(rng() * dropData.uniques.length)];
+        if (needed.delete(drop.item)) {
+          record(drop.item, kc);
+        }
+      }
+    } else {
+      dropData.uniques.forEach(drop => record(drop.item, sampleGeometric(rng, 1 / drop.rarity)));
+    }
+
+    rares.forEach(drop => record(drop.item, sampleGeometric(rng, 1 / drop.rarity)));
+
+    let completionKc = 0;
+    let lastItem = null;
+    for (const [item, kc] of firstDrops) {
+      if (kc > completionKc) {
+        completionKc = kc;
+        lastItem = item;
+      }
+    }
+
+    killCounts.push(completionKc);
+    lastItemCounts[lastItem] = (lastItemCounts[lastItem] || 0) + 1;
+  }
+
+  killCounts.sort((a, b) => a - b);
+  const [mostOftenLast, lastCount] = Object.entries(lastItemCounts).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    monsterName: dropData.name,
+    seed,
+    trials,
+    items,
+    mean: killCounts.reduce((sum, kc) => sum + kc, 0) / trials,
+    median: percentile(killCounts, 0.5),
+    p10: percentile(killCounts, 0.1),
+    p90: percentile(killCounts, 0.9),
+    p99: percentile(killCounts, 0.99),
+    mostOftenLast,
+    mostOftenLastShare: lastCount / trials,
+  };
+}
+
+// Number of kills up to and including the first success with per-kill chance p
+function sampleGeometric(rng, p) {
+  if (p >= 1) return 1;
+  // 1 - rng() is in (0, 1], avoiding log(0)
+  return Math.max(1, Math.ceil(Math.log(1 - rng()) / Math.log(1 - p)));
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, fraction) {
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
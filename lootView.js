@@ -0,0 +1,149 @@
+import { MessageComponentTypes, ButtonStyleTypes, InteractionResponseFlags } from 'discord-interactions';
+import { formatGp } from './prices.js';
+
+// Paged /kill loot messages. Each result is kept in memory for a while so
+// its buttons can page through and re-sort it without simulating again.
+
+const ITEMS_PER_PAGE = 20;
+// Results stay pageable for this long after they were last viewed
+const VIEW_TTL = 30 * 60 * 1000;
+const MAX_VIEWS = 500;
+
+export const LOOT_SORTS = ['quantity', 'value', 'name'];
+
+// viewId -> { header, items, footer, valued, expiresAt }
+const lootViews = new Map();
+
+/**
+ * Keep a kill result for paging. items are [{ item, quantity, value, price, tradeable, unique }]
+ * (value/price/tradeable only when priced); header and footer are shown on every page.
+ */
+export function createLootView(viewId, { header, items, footer, valued }) {
+  const now = Date.now();
+  for (const [id, view] of lootViews) {
+    if (view.expiresAt <= now) lootViews.delete(id);
+  }
+  // Oldest views go first when the store is full
+  while (lootViews.size >= MAX_VIEWS) {
+    lootViews.delete(lootViews.keys().next().value);
+  }
+
+  const view = { header, items, footer, valued, expiresAt: now + VIEW_TTL };
+  lootViews.set(viewId, view);
+  return view;
+}
+
+// A stored view (refreshing its expiry), or null once it has expired
+export function getLootView(viewId) {
+  const view = lootViews.get(viewId);
+  if (!view || view.expiresAt <= Date.now()) {
+    lootViews.delete(viewId);
+    return null;
+  }
+  view.expiresAt = Date.now() + VIEW_TTL;
+  return view;
+}
+
+function sortItems(items, sort) {
+  const sorted = [...items];
+  if (sort === 'name') {
+    return sorted.sort((a, b) => a.item.localeCompare(b.item));
+  }
+  if (sort === 'value') {
+    return sorted.sort((a, b) => (b.value || 0) - (a.value || 0) || b.quantity - a.quantity);
+  }
+  return sorted.sort((a, b) => b.quantity - a.quantity);
+}
+
+function formatLine(entry, valued) {
+  const prefix = entry.unique ? '🌟 ' : '';
+  if (!valued) {
+    return `${prefix}${entry.quantity.toLocaleString()}x ${entry.item}`;
+  }
+  let suffix = ` (${formatGp(entry.value)} gp)`;
+  if (entry.price === null) {
+    suffix = entry.tradeable ? ' (no recent price)' : ' (untradeable)';
+  }
+  return `${prefix}${entry.quantity.toLocaleString()}x ${entry.item}${suffix}`;
+}
+
+/**
+ * Message payload for one page of a view: the loot lines, navigation buttons
+ * (first/previous/next/last) and a sort menu. Custom IDs carry the page and
+ * sort so each click is handled without extra state.
+ */
+export function renderLootPage(viewId, view, page = 0, sort = 'quantity') {
+  if (!view.valued && sort === 'value') sort = 'quantity';
+
+  const pageCount = Math.max(1, Math.ceil(view.items.length / ITEMS_PER_PAGE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const lines = sortItems(view.items, sort)
+    .slice(current * ITEMS_PER_PAGE, (current + 1) * ITEMS_PER_PAGE)
+    .map(entry => formatLine(entry, view.valued));
+
+  const components = [
+    {
+      type: MessageComponentTypes.TEXT_DISPLAY,
+      content: view.header
+    },
+    {
+      type: MessageComponentTypes.TEXT_DISPLAY,
+      content: lines.length > 0 ? lines.join('\n') : 'No loot (extremely unlucky!)'
+    },
+  ];
+  if (view.footer) {
+    components.push({
+      type: MessageComponentTypes.TEXT_DISPLAY,
+      content: view.footer
+    });
+  }
+
+  if (pageCount > 1) {
+    // The slot name keeps custom IDs unique when two buttons target the same page
+    const pageButton = (label, slot, target, disabled) => ({
+      type: MessageComponentTypes.BUTTON,
+      custom_id: `loot_page_${viewId}_${sort}_${target}_${slot}`,
+      label,
+      style: ButtonStyleTypes.SECONDARY,
+      disabled,
+    });
+    components.push({
+      type: MessageComponentTypes.ACTION_ROW,
+      components: [
+        pageButton('⏮', 'first', 0, current === 0),
+        pageButton('◀', 'prev', Math.max(current - 1, 0), current === 0),
+        {
+          type: MessageComponentTypes.BUTTON,
+          custom_id: `loot_position_${viewId}`,
+          label: `Page ${current + 1}/${pageCount}`,
+          style: ButtonStyleTypes.SECONDARY,
+          disabled: true,
+        },
+        pageButton('▶', 'next', Math.min(current + 1, pageCount - 1), current === pageCount - 1),
+        pageButton('⏭', 'last', pageCount - 1, current === pageCount - 1),
+      ],
+    });
+  }
+
+  components.push({
+    type: MessageComponentTypes.ACTION_ROW,
+    components: [
+      {
+        type: MessageComponentTypes.STRING_SELECT,
+        custom_id: `loot_sort_${viewId}`,
+        options: LOOT_SORTS
+          .filter(option => view.valued || option !== 'value')
+          .map(option => ({
+            label: `Sort by ${option}`,
+            value: option,
+            default: option === sort,
+          })),
+      },
+    ],
+  });
+
+  return {
+    flags: InteractionResponseFlags.IS_COMPONENTS_V2,
+    components,
+  };
+}
@@ -0,0 +1,100 @@
+import { fetchItemMapping, fetchLatestPrices, fetchHourlyPrices } from './prices.js';
+
+// Flipping margins: buy at the instant-sell (low) price and sell at the
+// instant-buy (high) price, less the GE sales tax
+
+const GE_TAX_RATE = 0.02;
+const GE_TAX_CAP = 5000000; // Tax on a single item never exceeds 5M
+// Ignore prices whose last trade is older than this, as the margin is likely gone
+const STALE_PRICE_AGE = 60 * 60; // 1 hour, in seconds
+
+// Items the GE doesn't tax
+const GE_TAX_EXEMPT = new Set([
+  'old school bond',
+  'chisel',
+  'gardening trowel',
+  'glassblowing pipe',
+  'hammer',
+  'needle',
+  'pestle and mortar',
+  'rake',
+  'saw',
+  'secateurs',
+  'seed dibber',
+  'shears',
+  'spade',
+  'watering can(0)',
+]);
+
+// Tax paid when one of the item sells for price (rounded down, so under 50 gp is free)
+export function geTax(itemName, price) {
+  if (GE_TAX_EXEMPT.has(itemName.toLowerCase())) return 0;
+  return Math.min(Math.floor(price * GE_TAX_RATE), GE_TAX_CAP);
+}
+
+/**
+ * Margin for one mapping item from its latest and hourly price data. Returns
+ * { buy, sell, tax, margin, roi, limit, volume, limitProfit, lastTrade } or
+ * null when the item hasn't traded on both sides. limitProfit is the margin
+ * over one full buy limit (the limit resets every 4 hours).
+ */
+export function calculateMargin(item, priceData, hourlyData) {
+  if (!priceData?.high || !priceData?.low) return null;
+
+  const buy = priceData.low;
+  const sell = priceData.high;
+  const tax = geTax(item.name, sell);
+  const margin = sell - tax - buy;
+  const limit = item.limit || null;
+
+  return {
+    buy,
+    sell,
+    tax,
+    margin,
+    roi: (margin / buy) * 100,
+    limit,
+    volume: (hourlyData?.highPriceVolume || 0) + (hourlyData?.lowPriceVolume || 0),
+    limitProfit: limit ? margin * limit : null,
+    // The older of the two sides' last trades, in seconds
+    lastTrade: Math.min(priceData.highTime || 0, priceData.lowTime || 0),
+  };
+}
+
+/**
+ * Rank items by the profit of flipping one buy limit's worth right now.
+ * minVolume drops items trading fewer than that many per hour; maxCapital
+ * caps the gp spent per item, shrinking the quantity to fit. Items with
+ * stale prices, no profit, or no known buy limit are skipped.
+ * Returns [{ item, quantity, capital, profit, ...margin }], best first.
+ */
+export async function findFlips({ minVolume = 0, maxCapital = null, count = 10 } = {}) {
+  const [items, latest, hourly] = await Promise.all([
+    fetchItemMapping(),
+    fetchLatestPrices(),
+    fetchHourlyPrices(),
+  ]);
+  const cutoff = Date.now() / 1000 - STALE_PRICE_AGE;
+  const flips = [];
+
+  for (const item of items) {
+    const margin = calculateMargin(item, latest[item.id], hourly[item.id]);
+    if (!margin || margin.margin <= 0 || !margin.limit) continue;
+    if (margin.lastTrade < cutoff || margin.volume < minVolume) continue;
+
+    const quantity = maxCapital
+      ? Math.min(margin.limit, Math.floor(maxCapital / margin.buy))
+      : margin.limit;
+    if (quantity < 1) continue;
+
+    flips.push({
+      item,
+      ...margin,
+      quantity,
+      capital: quantity * margin.buy,
+      profit: quantity * margin.margin,
+    });
+  }
+
+  return flips.sort((a, b) => b.profit - a.profit).slice(0, count);
+}
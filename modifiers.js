@@ -0,0 +1,125 @@
+// Drop-rate modifiers: slayer task, Konar, ring of wealth, wilderness and combat achievements
+
+export const CA_TIERS = ['easy', 'medium', 'hard', 'elite', 'master', 'grandmaster'];
+
+// Phrasings that restrict a drop, which always say "only": "only dropped in
+// the Wilderness", "only while on a slayer task" or "slayer task only"
+const WILDERNESS_PHRASE = '(?:in|inside) (?:the )?wilderness';
+const TASK_PHRASE = '(?:on|during) (?:a |an )?(?:slayer )?(?:task|assignment)';
+const restriction = phrase => new RegExp(`\\bonly(?: \\w+){0,2} ${phrase}\\b|\\b${phrase} only\\b`);
+const WILDERNESS_ONLY = [restriction(WILDERNESS_PHRASE), /\bwilderness[- ]only\b/];
+const TASK_ONLY = [restriction(TASK_PHRASE), /\b(?:slayer )?task[- ]only\b/];
+const KONAR_PHRASE = '(?:on|during) (?:a )?konar(?: slayer)? (?:task|assignment)';
+const KONAR_ONLY = [restriction(KONAR_PHRASE), /\bkonar(?: slayer)?(?: task)?[- ]only\b/];
+const NEGATION = /\b(?:not|never|no|without|outside|except|cannot)\b|n't\b/;
+
+/**
+ * Read drop conditions from a DropsLine's notes, e.g. "Only dropped on a
+ * Konar task" or "Wilderness only". Clauses with a negation ("Not dropped in
+ * the Wilderness") are skipped rather than read as restrictions.
+ * Returns undefined when unconditional.
+ */
+export function detectConditions(notes) {
+  if (!notes) return undefined;
+  const conditions = {};
+
+  const clauses = notes.toLowerCase().split(/[.;,()]|\bbut\b/);
+  for (const clause of clauses) {
+    if (NEGATION.test(clause)) continue;
+
+    if (KONAR_ONLY.some(pattern => pattern.test(clause))) conditions.konar = true;
+    if (/\bkrystilia\b/.test(clause)) {
+      conditions.onTask = true;
+      conditions.wilderness = true;
+    }
+    if (TASK_ONLY.some(pattern => pattern.test(clause))) conditions.onTask = true;
+    if (WILDERNESS_ONLY.some(pattern => pattern.test(clause))) conditions.wilderness = true;
+  }
+
+  return Object.keys(conditions).length > 0 ? conditions : undefined;
+}
+
+// Konar's brimstone key: 1 in (0.2(lvl-100)^2 + 100) below level 100, 1 in (-0.2 min(lvl, 350) + 120) above
+export function brimstoneKeyRarity(combatLevel) {
+  if (combatLevel < 100) {
+    return 0.2 * Math.pow(combatLevel - 100, 2) + 100;
+  }
+  return -0.2 * Math.min(combatLevel, 350) + 120;
+}
+
+/**
+ * Apply the chosen modifiers to drop data before simulating. Drops whose
+ * conditions aren't met are removed, combat achievement rates replace the
+ * base rates, ring of wealth switches shared tables to their no-"Nothing"
+ * variants and a Konar task adds the brimstone key.
+ * Returns { dropData } or { error }.
+ */
+export function applyModifiers(dropData, modifiers = {}) {
+  const mechanics = dropData.mechanics || {};
+  const konar = Boolean(modifiers.konar);
+  // Konar tasks are slayer tasks; task-only bosses default to being on task
+  const onTask = konar || (modifiers.onTask ?? Boolean(mechanics.taskOnly));
+  const wilderness = Boolean(modifiers.wilderness);
+  const ringOfWealth = Boolean(modifiers.ringOfWealth);
+  const caTier = modifiers.caTier || null;
+
+  if (mechanics.taskOnly && !onTask) {
+    return { error: `${dropData.name} can only be killed on a slayer task` };
+  }
+
+  const active = { onTask, konar, wilderness };
+  const applicable = drop => !drop.conditions ||
+    Object.keys(drop.conditions).every(condition => active[condition]);
+
+  const adjust = drop => {
+    let adjusted = drop;
+    const tierRarity = caTier && getCaRarity(mechanics.caRates, drop.item, caTier);
+    if (tierRarity) {
+      adjusted = { ...adjusted, rarity: tierRarity, rarityText: `1/${tierRarity}` };
+    }
+    if (ringOfWealth && adjusted.table) {
+      adjusted = { ...adjusted, table: `${adjusted.table}:row` };
+    }
+    return adjusted;
+  };
+
+  const modified = {
+    ...dropData,
+    always: dropData.always.filter(applicable).map(adjust),
+    main: dropData.main.filter(applicable).map(adjust),
+    uniques: dropData.uniques.filter(applicable).map(adjust),
+    tertiary: dropData.tertiary.filter(applicable).map(adjust),
+  };
+
+  // The key's rate depends on combat level, so it's left out when that's unknown
+  const brimstoneKeySkipped = konar && !dropData.combatLevel;
+  if (konar && dropData.combatLevel && !modified.tertiary.some(d => d.item === 'Brimstone key')) {
+    const rarity = Math.round(brimstoneKeyRarity(dropData.combatLevel));
+    modified.tertiary.push({
+      item: 'Brimstone key',
+      quantity: { min: 1, max: 1 },
+      rarity,
+      rarityText: `1/${rarity}`
+    });
+  }
+
+  const labels = [];
+  if (konar) labels.push(brimstoneKeySkipped ? 'Konar task (no brimstone keys: combat level unknown)' : 'Konar task');
+  else if (onTask) labels.push('On task');
+  if (wilderness) labels.push('Wilderness');
+  if (ringOfWealth) labels.push('Ring of wealth');
+  if (caTier) labels.push(`${caTier.charAt(0).toUpperCase()}${caTier.slice(1)} CAs`);
+  modified.activeModifiers = labels;
+
+  return { dropData: modified };
+}
+
+// Best rate unlocked at or below the given tier, if the monster declares one
+function getCaRarity(caRates, item, caTier) {
+  const rates = caRates && caRates[item];
+  if (!rates) return null;
+
+  const unlocked = CA_TIERS.slice(0, CA_TIERS.indexOf(caTier) + 1);
+  const rarities = unlocked.map(tier => rates[tier]).filter(Boolean);
+  return rarities.length > 0 ? Math.min(...rarities) : null;
+}
@@ -0,0 +1,376 @@
+import { existsSync, readdirSync, readFileSync, watch } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeQuery } from './fuzzy.js';
+import { CA_TIERS } from './modifiers.js';
+import { getSharedTable } from './sharedTables.js';
+
+// Monster definitions: JSON files that add aliases, mechanics, fallback drop
+// tables and patches on top of (or instead of) the data scraped from the wiki.
+//
+// One file per monster in DEFINITIONS_DIR:
+// {
+//   "name": "King Black Dragon",
+//   "aliases": ["kbd"],
+//   "mechanics": { "mainTableRolls": 1, "uniqueTableChance": "1/130", "combatLevel": 276,
+//                  "taskOnly": false, "caRates": { "Item": { "elite": 400 } } },
+//   "drops": { "always": [...], "main": [...], "uniques": [...], "tertiary": [...] },
+//   "override": false,
+//   "patch": { "remove": ["Item"], "rates": { "Item": "1/64" }, "add": { "tertiary": [...] } }
+// }
+// Drops are { "item", "quantity": 5 | [min, max], "rarity": 128 | "5/130",
+// "rarityText"?, "table"?, "noted"?, "conditions"? }. `drops` is used when the
+// wiki has nothing (or always, with "override": true); `patch` edits wiki data.
+
+// Definitions ship with the code, so default to the directory next to this file
+export const DEFINITIONS_DIR = process.env.DEFINITIONS_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'definitions');
+
+const CATEGORIES = ['always', 'main', 'uniques', 'tertiary'];
+const CONDITIONS = ['onTask', 'konar', 'wilderness'];
+const TOP_LEVEL_KEYS = ['name', 'aliases', 'mechanics', 'drops', 'override', 'patch'];
+const MECHANICS_KEYS = ['mainTableRolls', 'uniqueTableChance', 'combatLevel', 'taskOnly', 'caRates'];
+
+// Lowercase name or alias -> definition
+let definitions = new Map();
+// File name -> last valid definition, kept when an edit fails validation
+let definitionsByFile = new Map();
+
+/**
+ * Check a parsed definition file against the schema above.
+ * Returns a list of problems (empty when valid).
+ */
+export function validateDefinition(definition) {
+  const errors = [];
+  if (!isObject(definition)) return ['definition must be a JSON object'];
+
+  for (const key of Object.keys(definition)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    errors.push('"name" must be a non-empty string');
+  }
+  if (definition.aliases !== undefined &&
+      !(Array.isArray(definition.aliases) && definition.aliases.every(a => typeof a === 'string'))) {
+    errors.push('"aliases" must be an array of strings');
+  }
+  if (definition.override !== undefined && typeof definition.override !== 'boolean') {
+    errors.push('"override" must be true or false');
+  }
+  if (definition.override && !definition.drops) {
+    errors.push('"override" needs "drops"');
+  }
+
+  if (definition.mechanics !== undefined) {
+    errors.push(...validateMechanics(definition.mechanics));
+  }
+
+  if (definition.drops !== undefined) {
+    if (!isObject(definition.drops)) {
+      errors.push('"drops" must be an object');
+    } else {
+      for (const [category, drops] of Object.entries(definition.drops)) {
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`drops: unknown category "${category}"`);
+        } else {
+          errors.push(...validateDropList(drops, `drops.${category}`));
+        }
+      }
+    }
+  }
+
+  if (definition.patch !== undefined) {
+    errors.push(...validatePatch(definition.patch));
+  }
+
+  return errors;
+}
+
+function validateMechanics(mechanics) {
+  if (!isObject(mechanics)) return ['"mechanics" must be an object'];
+
+  const errors = [];
+  for (const key of Object.keys(mechanics)) {
+    if (!MECHANICS_KEYS.includes(key)) errors.push(`mechanics: unknown key "${key}"`);
+  }
+  if (mechanics.mainTableRolls !== undefined &&
+      !(Number.isInteger(mechanics.mainTableRolls) && mechanics.mainTableRolls >= 1)) {
+    errors.push('mechanics.mainTableRolls must be a whole number of at least 1');
+  }
+  if (mechanics.uniqueTableChance !== undefined && !(toProbability(mechanics.uniqueTableChance) > 0)) {
+    errors.push('mechanics.uniqueTableChance must be a probability like "1/130"');
+  }
+  if (mechanics.combatLevel !== undefined &&
+      !(Number.isInteger(mechanics.combatLevel) && mechanics.combatLevel > 0)) {
+    errors.push('mechanics.combatLevel must be a positive whole number');
+  }
+  if (mechanics.taskOnly !== undefined && typeof mechanics.taskOnly !== 'boolean') {
+    errors.push('mechanics.taskOnly must be true or false');
+  }
+  if (mechanics.caRates !== undefined) {
+    if (!isObject(mechanics.caRates)) {
+      errors.push('mechanics.caRates must be an object');
+    } else {
+      for (const [item, rates] of Object.entries(mechanics.caRates)) {
+        if (!isObject(rates) || !Object.entries(rates).every(([tier, rarity]) =>
+          CA_TIERS.includes(tier) && toRarity(rarity) > 0)) {
+          errors.push(`mechanics.caRates["${item}"] must map CA tiers to rarities`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validatePatch(patch) {
+  if (!isObject(patch)) return ['"patch" must be an object'];
+
+  const errors = [];
+  for (const key of Object.keys(patch)) {
+    if (!['remove', 'rates', 'add'].includes(key)) errors.push(`patch: unknown key "${key}"`);
+  }
+  if (patch.remove !== undefined &&
+      !(Array.isArray(patch.remove) && patch.remove.every(item => typeof item === 'string'))) {
+    errors.push('patch.remove must be an array of item names');
+  }
+  if (patch.rates !== undefined) {
+    if (!isObject(patch.rates) || !Object.values(patch.rates).every(rarity => toRarity(rarity) > 0)) {
+      errors.push('patch.rates must map item names to rarities');
+    }
+  }
+  if (patch.add !== undefined) {
+    if (!isObject(patch.add)) {
+      errors.push('patch.add must be an object');
+    } else {
+      for (const [category, drops] of Object.entries(patch.add)) {
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`patch.add: unknown category "${category}"`);
+        } else {
+          errors.push(...validateDropList(drops, `patch.add.${category}`));
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validateDropList(drops, where) {
+  if (!Array.isArray(drops)) return [`${where} must be an array`];
+
+  const errors = [];
+  drops.forEach((drop, index) => {
+    const at = `${where}[${index}]`;
+    if (!isObject(drop)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (drop.table !== undefined) {
+      if (!getSharedTable(drop.table)) errors.push(`${at}: unknown shared table "${drop.table}"`);
+    } else if (typeof drop.item !== 'string' || !drop.item.trim()) {
+      errors.push(`${at}: "item" must be a non-empty string`);
+    }
+    if (drop.quantity !== undefined && !toQuantity(drop.quantity)) {
+      errors.push(`${at}: "quantity" must be a positive number or [min, max]`);
+    }
+    if (!(toRarity(drop.rarity) > 0)) {
+      errors.push(`${at}: "rarity" must be a number (1 in N) or a fraction like "5/130"`);
+    }
+    if (drop.conditions !== undefined && !(isObject(drop.conditions) &&
+        Object.keys(drop.conditions).every(condition => CONDITIONS.includes(condition)))) {
+      errors.push(`${at}: "conditions" may only use ${CONDITIONS.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "5/130", "1/4" or a plain denominator -> probability
+function toProbability(value) {
+  if (typeof value === 'number') return value > 0 ? 1 / value : NaN;
+  const match = typeof value === 'string' && value.match(/^\s*([\d.]+)\s*\/\s*([\d.,]+)\s*$/);
+  if (!match) return NaN;
+  return parseFloat(match[1]) / parseFloat(match[2].replace(/,/g, ''));
+}
+
+// Rarity as the simulator's "1 in N" denominator
+function toRarity(value) {
+  const probability = toProbability(value);
+  return probability > 0 && probability <= 1 ? 1 / probability : NaN;
+}
+
+function toQuantity(value) {
+  const [min, max] = Array.isArray(value) ? value : [value, value];
+  if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 1 && max >= min)) return null;
+  return { min, max };
+}
+
+// Convert a definition drop into the simulator's drop entry shape
+function toDrop(drop) {
+  const rarity = toRarity(drop.rarity);
+  const entry = {
+    item: drop.item || getSharedTable(drop.table).name,
+    quantity: toQuantity(drop.quantity ?? 1),
+    rarity,
+    rarityText: drop.rarityText || (rarity === 1 ? 'Always' :
+      typeof drop.rarity === 'string' ? drop.rarity : `1/${drop.rarity}`),
+  };
+  if (drop.noted) entry.quantity.noted = true;
+  if (drop.table) entry.table = drop.table;
+  if (drop.conditions) entry.conditions = { ...drop.conditions };
+  return entry;
+}
+
+/**
+ * (Re)load every *.json file in the definitions directory. Invalid files are
+ * reported and skipped, keeping the previous version of that file if there was one.
+ */
+export function loadMonsterDefinitions() {
+  if (!existsSync(DEFINITIONS_DIR)) {
+    definitions = new Map();
+    definitionsByFile = new Map();
+    return definitions;
+  }
+
+  const files = readdirSync(DEFINITIONS_DIR).filter(file => file.endsWith('.json'));
+  const nextByFile = new Map();
+
+  for (const file of files) {
+    try {
+      const definition = JSON.parse(readFileSync(path.join(DEFINITIONS_DIR, file), 'utf8'));
+      const errors = validateDefinition(definition);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      nextByFile.set(file, definition);
+    } catch (error) {
+      console.error(`Invalid monster definition ${file}: ${error.message}`);
+      if (definitionsByFile.has(file)) {
+        nextByFile.set(file, definitionsByFile.get(file));
+      }
+    }
+  }
+
+  const next = new Map();
+  for (const [file, definition] of nextByFile) {
+    for (const key of [definition.name, ...(definition.aliases || [])].map(normalizeQuery)) {
+      if (next.has(key) && next.get(key) !== definition) {
+        console.warn(`Monster definition ${file} reuses "${key}" from ${next.get(key).name}`);
+        continue;
+      }
+      next.set(key, definition);
+    }
+  }
+
+  definitions = next;
+  definitionsByFile = nextByFile;
+  return definitions;
+}
+
+/**
+ * Reload definitions whenever a file in the directory changes, so tables can
+ * be edited without restarting the bot. Changes are batched for a moment
+ * since editors often write a file in several steps.
+ */
+export function watchMonsterDefinitions(delay = 250) {
+  if (!existsSync(DEFINITIONS_DIR)) return null;
+
+  let timer = null;
+  try {
+    const watcher = watch(DEFINITIONS_DIR, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        loadMonsterDefinitions();
+        console.log(`Reloaded ${definitionsByFile.size} monster definitions`);
+      }, delay);
+    });
+    watcher.unref();
+    return watcher;
+  } catch (error) {
+    console.warn('Monster definitions will not hot-reload:', error.message);
+    return null;
+  }
+}
+
+// Definition for a monster name or alias, if there is one
+export function getMonsterDefinition(monsterName) {
+  return definitions.get(normalizeQuery(monsterName)) || null;
+}
+
+// Every defined monster as { name, aliases }, for alias lookup and autocomplete
+export function listMonsterDefinitions() {
+  return [...definitionsByFile.values()].map(definition => ({
+    name: definition.name,
+    aliases: (definition.aliases || []).map(normalizeQuery),
+  }));
+}
+
+/**
+ * Full drop data from a definition's own tables, or null if it has none.
+ * Used instead of the wiki when the definition overrides it, or when the
+ * wiki has no usable data.
+ */
+export function getDefinitionDropData(monsterName) {
+  const definition = getMonsterDefinition(monsterName);
+  if (!definition || !definition.drops) return null;
+
+  const dropData = { name: definition.name, mainTableRolls: 1, uniqueTableChance: null };
+  for (const category of CATEGORIES) {
+    dropData[category] = (definition.drops[category] || []).map(toDrop);
+  }
+  return applyMechanics(dropData, definition);
+}
+
+/**
+ * Layer a monster's definition over drop data: patches (removed items,
+ * corrected rates, extra drops) and then declared mechanics.
+ */
+export function applyMonsterDefinition(dropData) {
+  const definition = getMonsterDefinition(dropData.name);
+  if (!definition) return dropData;
+
+  let patched = dropData;
+  const { patch } = definition;
+  if (patch) {
+    const removed = new Set((patch.remove || []).map(item => item.toLowerCase()));
+    const rates = new Map(Object.entries(patch.rates || {}).map(([item, rarity]) => [item.toLowerCase(), rarity]));
+
+    patched = { ...dropData };
+    for (const category of CATEGORIES) {
+      patched[category] = (dropData[category] || [])
+        .filter(drop => !removed.has(drop.item.toLowerCase()))
+        .map(drop => {
+          const rarity = rates.get(drop.item.toLowerCase());
+          if (rarity === undefined) return drop;
+          return { ...drop, rarity: toRarity(rarity), rarityText: typeof rarity === 'string' ? rarity : `1/${rarity}` };
+        })
+        .concat((patch.add?.[category] || []).map(toDrop));
+    }
+  }
+
+  return applyMechanics(patched, definition);
+}
+
+function applyMechanics(dropData, definition) {
+  const mechanics = definition.mechanics;
+  if (!mechanics) return dropData;
+
+  const { mainTableRolls, uniqueTableChance, combatLevel, caRates, ...rest } = mechanics;
+  if (caRates) {
+    rest.caRates = Object.fromEntries(Object.entries(caRates).map(([item, rates]) => [
+      item,
+      Object.fromEntries(Object.entries(rates).map(([tier, rarity]) => [tier, toRarity(rarity)])),
+    ]));
+  }
+  return {
+    ...dropData,
+    mainTableRolls: mainTableRolls ?? dropData.mainTableRolls,
+    uniqueTableChance: uniqueTableChance !== undefined ? toProbability(uniqueTableChance) : dropData.uniqueTableChance,
+    combatLevel: dropData.combatLevel ?? combatLevel,
+    mechanics: { ...dropData.mechanics, ...rest },
+  };
+}
+
+loadMonsterDefinitions();
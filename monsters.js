@@ -0,0 +1,109 @@
+import { rankMatches, normalizeQuery } from './fuzzy.js';
+import { listCachedMonsters } from './dropCache.js';
+import { listMonsterDefinitions } from './monsterDefinitions.js';
+
+// Well-known bosses and monsters with the nicknames players actually type
+const KNOWN_MONSTERS = [
+  { name: 'Abyssal Sire', aliases: ['sire'] },
+  { name: 'Alchemical Hydra', aliases: ['hydra', 'alch hydra'] },
+  { name: 'Artio', aliases: [] },
+  { name: 'Barrows', aliases: [] },
+  { name: 'Bryophyta', aliases: ['bryo'] },
+  { name: 'Callisto', aliases: [] },
+  { name: 'Calvar\'ion', aliases: [] },
+  { name: 'Cerberus', aliases: ['cerb'] },
+  { name: 'Chaos Elemental', aliases: ['chaos ele', 'ele'] },
+  { name: 'Chaos Fanatic', aliases: [] },
+  { name: 'Commander Zilyana', aliases: ['zily', 'sara', 'saradomin'] },
+  { name: 'Corporeal Beast', aliases: ['corp'] },
+  { name: 'Crazy archaeologist', aliases: ['crazy arch'] },
+  { name: 'Dagannoth Prime', aliases: ['prime', 'dks'] },
+  { name: 'Dagannoth Rex', aliases: ['rex', 'dks'] },
+  { name: 'Dagannoth Supreme', aliases: ['supreme', 'dks'] },
+  { name: 'Duke Sucellus', aliases: ['duke'] },
+  { name: 'General Graardor', aliases: ['bandos', 'graardor'] },
+  { name: 'Giant Mole', aliases: ['mole'] },
+  { name: 'Grotesque Guardians', aliases: ['ggs', 'gargoyle boss'] },
+  { name: 'Hespori', aliases: [] },
+  { name: 'Kalphite Queen', aliases: ['kq'] },
+  { name: 'King Black Dragon', aliases: ['kbd'] },
+  { name: 'Kraken', aliases: [] },
+  { name: 'Kree\'arra', aliases: ['arma', 'armadyl', 'kree'] },
+  { name: 'K\'ril Tsutsaroth', aliases: ['kril', 'zammy', 'zamorak'] },
+  { name: 'Nex', aliases: [] },
+  { name: 'Obor', aliases: [] },
+  { name: 'Phantom Muspah', aliases: ['muspah'] },
+  { name: 'Sarachnis', aliases: [] },
+  { name: 'Scorpia', aliases: [] },
+  { name: 'Skotizo', aliases: [] },
+  { name: 'Spindel', aliases: [] },
+  { name: 'The Leviathan', aliases: ['levi', 'leviathan'] },
+  { name: 'The Nightmare', aliases: ['nightmare'] },
+  { name: 'The Whisperer', aliases: ['whisperer'] },
+  { name: 'Thermonuclear smoke devil', aliases: ['thermy', 'thermo'] },
+  { name: 'Vardorvis', aliases: ['vard'] },
+  { name: 'Venenatis', aliases: ['vene'] },
+  { name: 'Vet\'ion', aliases: ['vetion'] },
+  { name: 'Vorkath', aliases: ['vork'] },
+  { name: 'Zulrah', aliases: ['zul'] },
+  { name: 'Abyssal demon', aliases: ['abby demon', 'abbys'] },
+  { name: 'Gargoyle', aliases: ['gargs'] },
+  { name: 'Hellhound', aliases: [] },
+  { name: 'Rune dragon', aliases: ['rune drags'] },
+  { name: 'Wyrm', aliases: [] },
+];
+
+/**
+ * Map a nickname to its monster's real name ("kq" -> "Kalphite Queen").
+ * Names that aren't an unambiguous alias are returned unchanged.
+ */
+export function resolveMonsterAlias(monsterName) {
+  const query = normalizeQuery(monsterName);
+  const matches = getKnownMonsters().filter(m =>
+    normalizeQuery(m.name) === query || m.aliases.includes(query)
+  );
+  // Group nicknames like "dks" stay as typed rather than picking one monster
+  return matches.length === 1 ? matches[0].name : monsterName;
+}
+
+// Built-in monsters plus those from definition files, whose aliases are merged in
+function getKnownMonsters() {
+  const monsters = new Map(KNOWN_MONSTERS.map(m => [m.name.toLowerCase(), m]));
+  for (const definition of listMonsterDefinitions()) {
+    const key = definition.name.toLowerCase();
+    const existing = monsters.get(key);
+    monsters.set(key, {
+      name: existing ? existing.name : definition.name,
+      aliases: [...new Set([...(existing ? existing.aliases : []), ...definition.aliases])],
+    });
+  }
+  return [...monsters.values()];
+}
+
+// Autocomplete suggestions for a partially typed monster name
+export function suggestMonsters(query, limit = 25) {
+  const knownMonsters = getKnownMonsters();
+  const known = new Set(knownMonsters.map(m => m.name.toLowerCase()));
+  const cached = [...new Set(listCachedMonsters())]
+    .filter(name => !known.has(name.toLowerCase()))
+    .map(name => ({ name, aliases: [] }));
+
+  return rankMatches(query, [...knownMonsters, ...cached], limit)
+    .map(monster => ({ name: monster.name, value: monster.name }));
+}
+
+// Boss and raid pets, for pet tracking on leaderboards
+const PETS = new Set([
+  'Abyssal orphan', 'Baby mole', 'Baron', 'Butch', 'Callisto cub', 'Hellpuppy',
+  'Ikkle hydra', 'Jal-nib-rek', 'Kalphite princess', 'Lil\' zik', 'Lil\'viathan',
+  'Little nightmare', 'Muphin', 'Nexling', 'Noon', 'Olmlet', 'Pet chaos elemental',
+  'Pet dagannoth prime', 'Pet dagannoth rex', 'Pet dagannoth supreme', 'Pet dark core',
+  'Pet general graardor', 'Pet k\'ril tsutsaroth', 'Pet kraken', 'Pet kree\'arra',
+  'Pet smoke devil', 'Pet snakeling', 'Pet zilyana', 'Prince black dragon',
+  'Scorpia\'s offspring', 'Skotos', 'Smolcano', 'Sraracha', 'Tumeken\'s guardian',
+  'Tzrek-jad', 'Venenatis spiderling', 'Vet\'ion jr.', 'Vorki', 'Wisp', 'Youngllef',
+].map(name => name.toLowerCase()));
+
+export function isPet(itemName) {
+  return PETS.has(itemName.toLowerCase());
+}
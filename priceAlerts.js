@@ -0,0 +1,212 @@
+import { loadJson, createDebouncedSave } from './jsonStore.js';
+import { fetchLatestPrices, formatGp } from './prices.js';
+import { DiscordRequest } from './utils.js';
+
+// Per-user GE price alerts, persisted to disk and checked by a background poller
+
+const ALERTS_FILE = 'alerts.json';
+const POLL_INTERVAL = 60 * 1000; // The latest endpoint updates about once a minute
+const MAX_ALERTS_PER_USER = 10;
+// Failed deliveries are retried on later polls, up to this many attempts in total
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Buy side is the instant-buy (high) price, sell side the instant-sell (low) price
+const SIDE_FIELDS = { buy: 'high', sell: 'low' };
+
+const store = loadJson(ALERTS_FILE, { nextId: 1, alerts: [] });
+const scheduleSave = createDebouncedSave(ALERTS_FILE, () => store);
+
+/**
+ * Add an alert for a user. delivery is { type: 'dm' } or
+ * { type: 'channel', channelId }. Returns { alert } or { error }.
+ */
+export function createAlert(userId, { item, direction, threshold, side = 'buy', delivery = { type: 'dm' } }) {
+  if (listAlerts(userId).length >= MAX_ALERTS_PER_USER) {
+    return { error: `You can have at most ${MAX_ALERTS_PER_USER} alerts. Delete one with \`/alert delete\` first.` };
+  }
+
+  const alert = {
+    id: store.nextId++,
+    userId,
+    itemId: item.id,
+    itemName: item.name,
+    direction,
+    threshold,
+    side,
+    delivery,
+    createdAt: Date.now(),
+  };
+  store.alerts.push(alert);
+  scheduleSave();
+  return { alert };
+}
+
+export function listAlerts(userId) {
+  return store.alerts.filter(alert => alert.userId === userId);
+}
+
+// Delete one of a user's alerts by ID; returns whether it existed
+export function deleteAlert(userId, alertId) {
+  const index = store.alerts.findIndex(alert => alert.id === alertId && alert.userId === userId);
+  if (index === -1) return false;
+
+  store.alerts.splice(index, 1);
+  scheduleSave();
+  return true;
+}
+
+// Short description of an alert, e.g. "Abyssal whip buy price above 1.50M gp"
+export function describeAlert(alert) {
+  return `${alert.itemName} ${alert.side} price ${alert.direction} ${formatGp(alert.threshold)} gp`;
+}
+
+/**
+ * Check every alert against one batch of latest prices (keyed by item ID).
+ * Returns the alerts to deliver with the price that set them off. Alerts fire
+ * once, but stay stored until delivered (see settleAlert), so ones whose
+ * delivery failed are returned again with their original price.
+ */
+export function checkAlerts(latestPrices) {
+  const triggered = [];
+  let changed = false;
+
+  for (const alert of store.alerts) {
+    if (alert.triggeredPrice) {
+      triggered.push({ alert, price: alert.triggeredPrice });
+      continue;
+    }
+
+    const price = latestPrices[alert.itemId]?.[SIDE_FIELDS[alert.side]];
+    if (!price) continue;
+
+    const hit = alert.direction === 'above' ? price >= alert.threshold : price <= alert.threshold;
+    if (hit) {
+      alert.triggeredPrice = price;
+      alert.deliveryAttempts = 0;
+      triggered.push({ alert, price });
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    scheduleSave();
+  }
+  return triggered;
+}
+
+// Remove a triggered alert once delivered, or once it has failed too many times
+function settleAlert(alert, delivered) {
+  if (!delivered) {
+    alert.deliveryAttempts = (alert.deliveryAttempts || 0) + 1;
+    if (alert.deliveryAttempts < MAX_DELIVERY_ATTEMPTS) {
+      scheduleSave();
+      return;
+    }
+    console.error(`Giving up on price alert ${alert.id} after ${alert.deliveryAttempts} failed deliveries`);
+  }
+
+  store.alerts = store.alerts.filter(a => a !== alert);
+  scheduleSave();
+}
+
+// Permission bits the bot needs to post an alert in a channel
+const ADMINISTRATOR = 1n << 3n;
+const VIEW_CHANNEL = 1n << 10n;
+const SEND_MESSAGES = 1n << 11n;
+
+let botUserId = null;
+
+async function getJson(endpoint) {
+  const res = await DiscordRequest(endpoint, { method: 'GET' });
+  return res.json();
+}
+
+/**
+ * Whether the bot can post in a guild channel, computed the way Discord does:
+ * its roles' permissions, then the channel's @everyone, role and member
+ * overwrites. Used when a channel alert is created, so alerts aren't accepted
+ * for channels every delivery would fail in.
+ */
+export async function botCanPostIn(guildId, channelId) {
+  botUserId ??= (await getJson('users/@me')).id;
+  const [channel, roles, member] = await Promise.all([
+    getJson(`channels/${channelId}`),
+    getJson(`guilds/${guildId}/roles`),
+    getJson(`guilds/${guildId}/members/${botUserId}`),
+  ]);
+
+  const roleIds = new Set([guildId, ...member.roles]);
+  let permissions = roles
+    .filter(role => roleIds.has(role.id))
+    .reduce((bits, role) => bits | BigInt(role.permissions), 0n);
+  if (permissions & ADMINISTRATOR) return true;
+
+  const overwrites = channel.permission_overwrites || [];
+  const apply = matching => {
+    const deny = matching.reduce((bits, o) => bits | BigInt(o.deny), 0n);
+    const allow = matching.reduce((bits, o) => bits | BigInt(o.allow), 0n);
+    permissions = (permissions & ~deny) | allow;
+  };
+  apply(overwrites.filter(o => o.id === guildId));
+  apply(overwrites.filter(o => o.type === 0 && o.id !== guildId && roleIds.has(o.id)));
+  apply(overwrites.filter(o => o.type === 1 && o.id === botUserId));
+
+  return (permissions & VIEW_CHANNEL) !== 0n && (permissions & SEND_MESSAGES) !== 0n;
+}
+
+// Send a triggered alert to the user's DMs or to the channel they chose
+async function deliverAlert({ alert, price }) {
+  const content = `🔔 <@${alert.userId}> **${alert.itemName}** ${alert.side} price is now ` +
+    `**${price.toLocaleString()} gp**, ${alert.direction} your ${formatGp(alert.threshold)} gp alert`;
+
+  let channelId = alert.delivery.channelId;
+  if (alert.delivery.type === 'dm') {
+    const res = await DiscordRequest('users/@me/channels', {
+      method: 'POST',
+      body: { recipient_id: alert.userId },
+    });
+    channelId = (await res.json()).id;
+  }
+
+  await DiscordRequest(`channels/${channelId}/messages`, {
+    method: 'POST',
+    body: {
+      content,
+      // Only ping the alert's owner
+      allowed_mentions: { users: [alert.userId] },
+    },
+  });
+}
+
+/**
+ * Poll the latest prices on an interval and deliver any alerts that trigger.
+ * One request to the latest endpoint covers every watched item, and polling
+ * is skipped entirely while nobody has alerts.
+ */
+export function startAlertPoller(interval = POLL_INTERVAL) {
+  let polling = false;
+
+  const timer = setInterval(async () => {
+    if (polling || store.alerts.length === 0) return;
+    polling = true;
+
+    try {
+      const triggered = checkAlerts(await fetchLatestPrices());
+      for (const entry of triggered) {
+        try {
+          await deliverAlert(entry);
+          settleAlert(entry.alert, true);
+        } catch (error) {
+          console.error(`Error delivering price alert ${entry.alert.id}:`, error);
+          settleAlert(entry.alert, false);
+        }
+      }
+    } catch (error) {
+      console.error('Error polling price alerts:', error);
+    } finally {
+      polling = false;
+    }
+  }, interval);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,195 @@
+import { deflateSync } from 'node:zlib';
+
+// Price chart rendering: a small line chart encoded straight to PNG (no canvas
+// dependency), plus a text sparkline for when an image can't be sent
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const PADDING = 16;
+const GRID_LINES = 4;
+
+const COLORS = {
+  background: [43, 45, 49],
+  grid: [64, 66, 72],
+  high: [87, 242, 135],
+  low: [88, 101, 242],
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render a line chart of one or more series to a PNG buffer. Each series is
+ * { values: [number|null], color: 'high'|'low' }; nulls leave gaps. All series
+ * share the same x positions and y scale.
+ */
+export function renderLineChart(series) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  fill(pixels, COLORS.background);
+
+  const allValues = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+  if (allValues.length === 0) {
+    return encodePng(pixels);
+  }
+
+  let min = Math.min(...allValues);
+  let max = Math.max(...allValues);
+  if (min === max) {
+    // Flat prices still get a visible band around the line
+    min -= 1;
+    max += 1;
+  }
+
+  const plotWidth = WIDTH - PADDING * 2;
+  const plotHeight = HEIGHT - PADDING * 2;
+
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const y = Math.round(PADDING + (plotHeight * i) / GRID_LINES);
+    drawLine(pixels, PADDING, y, WIDTH - PADDING, y, COLORS.grid, 1);
+  }
+
+  for (const { values, color } of series) {
+    const step = values.length > 1 ? plotWidth / (values.length - 1) : 0;
+    let previous = null;
+    values.forEach((value, i) => {
+      if (value === null || value === undefined) {
+        previous = null;
+        return;
+      }
+      const point = {
+        x: Math.round(PADDING + i * step),
+        y: Math.round(PADDING + plotHeight - ((value - min) / (max - min)) * plotHeight),
+      };
+      if (previous) {
+        drawLine(pixels, previous.x, previous.y, point.x, point.y, COLORS[color], 2);
+      } else {
+        plot(pixels, point.x, point.y, COLORS[color], 2);
+      }
+      previous = point;
+    });
+  }
+
+  return encodePng(pixels);
+}
+
+// Text sparkline of up to `width` characters, e.g. "▁▂▄▇█▆▃"
+export function sparkline(values, width = 30) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return '';
+
+  // Average values into buckets so long series fit the width
+  const bucketSize = Math.max(1, Math.ceil(present.length / width));
+  const buckets = [];
+  for (let i = 0; i < present.length; i += bucketSize) {
+    const bucket = present.slice(i, i + bucketSize);
+    buckets.push(bucket.reduce((sum, v) => sum + v, 0) / bucket.length);
+  }
+
+  const min = Math.min(...buckets);
+  const max = Math.max(...buckets);
+  return buckets
+    .map(v => SPARK_CHARS[max === min ? 3 : Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+function fill(pixels, color) {
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = color[0];
+    pixels[i + 1] = color[1];
+    pixels[i + 2] = color[2];
+  }
+}
+
+// Square brush of the given size centred on (x, y)
+function plot(pixels, x, y, color, size) {
+  const offset = Math.floor(size / 2);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const px = x + dx - offset;
+      const py = y + dy - offset;
+      if (px < 0 || py < 0 || px >= WIDTH || py >= HEIGHT) continue;
+      const index = (py * WIDTH + px) * 3;
+      pixels[index] = color[0];
+      pixels[index + 1] = color[1];
+      pixels[index + 2] = color[2];
+    }
+  }
+}
+
+// Bresenham's line algorithm
+function drawLine(pixels, x0, y0, x1, y1, color, size) {
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let error = dx + dy;
+
+  while (true) {
+    plot(pixels, x0, y0, color, size);
+    if (x0 === x1 && y0 === y1) break;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x0 += sx;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y0 += sy;
+    }
+  }
+}
+
+// Minimal PNG encoder: 8-bit RGB, no interlacing, unfiltered scanlines
+function encodePng(pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(WIDTH, 0);
+  header.writeUInt32BE(HEIGHT, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Colour type: RGB
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  // Each scanline starts with its filter type (0 = none)
+  const rowLength = WIDTH * 3;
+  const raw = Buffer.alloc((rowLength + 1) * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,77 @@
+import { fetchTimeseries } from './prices.js';
+
+// Price history summaries built from the wiki's timeseries endpoint
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Chart periods and the finest timestep that covers each (the API returns up to 365 points)
+export const HISTORY_PERIODS = {
+  '24h': { label: '24 hours', timestep: '5m', seconds: DAY },
+  '7d': { label: '7 days', timestep: '1h', seconds: 7 * DAY },
+  '30d': { label: '30 days', timestep: '6h', seconds: 30 * DAY },
+  '1y': { label: '1 year', timestep: '24h', seconds: 365 * DAY },
+};
+
+// Periods whose change is always reported, whichever chart is shown
+const CHANGE_PERIODS = ['24h', '7d', '30d'];
+
+export const HISTORY_PERIOD_CHOICES = Object.entries(HISTORY_PERIODS)
+  .map(([value, period]) => ({ name: period.label, value }));
+
+// Mid price of a timeseries point, or null when nothing traded
+function midPrice(point) {
+  const { avgHighPrice: high, avgLowPrice: low } = point;
+  if (high && low) return (high + low) / 2;
+  return high || low || null;
+}
+
+// Points from the last `seconds` before the newest one
+function pointsWithin(points, seconds) {
+  if (points.length === 0) return [];
+  const since = points[points.length - 1].timestamp - seconds;
+  return points.filter(point => point.timestamp >= since);
+}
+
+// Change between the first and last traded prices in a window, or null
+function priceChange(points) {
+  const traded = points.filter(point => midPrice(point) !== null);
+  if (traded.length < 2) return null;
+
+  const from = midPrice(traded[0]);
+  const to = midPrice(traded[traded.length - 1]);
+  return { from, to, change: to - from, percent: ((to - from) / from) * 100 };
+}
+
+/**
+ * Price history for an item over one of HISTORY_PERIODS: the high and low
+ * series for charting, total traded volume, and the change over 24h, 7d and
+ * 30d. Returns { period, timestamps, high, low, volume, changes, latest }.
+ */
+export async function getPriceHistory(itemId, periodKey = '7d') {
+  const period = HISTORY_PERIODS[periodKey] || HISTORY_PERIODS['7d'];
+  const timesteps = new Set([period.timestep, ...CHANGE_PERIODS.map(key => HISTORY_PERIODS[key].timestep)]);
+
+  const fetched = new Map(await Promise.all(
+    [...timesteps].map(async timestep => [timestep, await fetchTimeseries(itemId, timestep)])
+  ));
+
+  const points = pointsWithin(fetched.get(period.timestep), period.seconds);
+  const changes = {};
+  for (const key of CHANGE_PERIODS) {
+    const { timestep, seconds } = HISTORY_PERIODS[key];
+    changes[key] = priceChange(pointsWithin(fetched.get(timestep), seconds));
+  }
+
+  const latest = [...points].reverse().find(point => midPrice(point) !== null);
+
+  return {
+    period,
+    timestamps: points.map(point => point.timestamp),
+    high: points.map(point => point.avgHighPrice ?? null),
+    low: points.map(point => point.avgLowPrice ?? null),
+    volume: points.reduce((sum, point) => sum + (point.highPriceVolume || 0) + (point.lowPriceVolume || 0), 0),
+    changes,
+    latest: latest ? midPrice(latest) : null,
+  };
+}
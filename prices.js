@@ -0,0 +1,150 @@
+// Grand Exchange price lookups using the OSRS Wiki real-time prices API
+const PRICES_API = 'https://prices.runescape.wiki/api/v1/osrs';
+const MAPPING_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+const LATEST_CACHE_DURATION = 60 * 1000; // 1 minute
+const HOURLY_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+const TIMESERIES_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+// Items that have a fixed value but aren't traded on the GE
+const FIXED_VALUES = {
+  'coins': 1,
+  'platinum token': 1000,
+};
+
+let mappingCache = null;
+let latestCache = null;
+let hourlyCache = null;
+// "<id>:<timestep>" -> { points, timestamp }
+const timeseriesCache = new Map();
+
+async function fetchPricesApi(path) {
+  const res = await fetch(`${PRICES_API}/${path}`, {
+    headers: {
+      // The wiki asks API consumers to identify themselves
+      'User-Agent': 'discord-example-app OSRS price bot',
+    },
+  });
+  if (!res.ok) {
+    throw new Error(`Prices API request failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Full list of tradeable items (id, name, limit, highalch, ...); fresh skips the cache
+export async function fetchItemMapping({ fresh = false } = {}) {
+  if (!fresh && mappingCache && Date.now() - mappingCache.timestamp < MAPPING_CACHE_DURATION) {
+    return mappingCache.items;
+  }
+
+  const items = await fetchPricesApi('mapping');
+  mappingCache = { items, timestamp: Date.now() };
+  return items;
+}
+
+// Latest high/low prices for every item, keyed by item ID
+export async function fetchLatestPrices() {
+  if (latestCache && Date.now() - latestCache.timestamp < LATEST_CACHE_DURATION) {
+    return latestCache.data;
+  }
+
+  const { data } = await fetchPricesApi('latest');
+  latestCache = { data, timestamp: Date.now() };
+  return data;
+}
+
+/**
+ * Average prices and traded volumes over the last hour for every item, keyed
+ * by item ID: { avgHighPrice, highPriceVolume, avgLowPrice, lowPriceVolume }
+ */
+export async function fetchHourlyPrices() {
+  if (hourlyCache && Date.now() - hourlyCache.timestamp < HOURLY_CACHE_DURATION) {
+    return hourlyCache.data;
+  }
+
+  const { data } = await fetchPricesApi('1h');
+  hourlyCache = { data, timestamp: Date.now() };
+  return data;
+}
+
+/**
+ * Up to 365 price points for an item at the given timestep ('5m', '1h', '6h'
+ * or '24h'), oldest first:
+ * [{ timestamp, avgHighPrice, avgLowPrice, highPriceVolume, lowPriceVolume }].
+ * Prices are null for intervals without trades.
+ */
+export async function fetchTimeseries(itemId, timestep) {
+  const key = `${itemId}:${timestep}`;
+  const cached = timeseriesCache.get(key);
+  if (cached && Date.now() - cached.timestamp < TIMESERIES_CACHE_DURATION) {
+    return cached.points;
+  }
+
+  const { data } = await fetchPricesApi(`timeseries?timestep=${timestep}&id=${itemId}`);
+  const points = data || [];
+  timeseriesCache.set(key, { points, timestamp: Date.now() });
+
+  // Drop expired series so lookups of many items don't pile up
+  for (const [cachedKey, entry] of timeseriesCache) {
+    if (Date.now() - entry.timestamp >= TIMESERIES_CACHE_DURATION) timeseriesCache.delete(cachedKey);
+  }
+  return points;
+}
+
+// Single gp value for an item, averaging high and low when both exist
+export function getItemValue(priceData) {
+  if (!priceData) return null;
+  if (priceData.high && priceData.low) {
+    return Math.floor((priceData.high + priceData.low) / 2);
+  }
+  return priceData.high || priceData.low || null;
+}
+
+/**
+ * Price out a loot object ({ itemName: quantity }) at current GE values.
+ * Items the GE doesn't trade are flagged as untradeable, and GE items with no
+ * recent trades are listed as unpriced (price null), instead of either being
+ * silently valued at zero.
+ */
+export async function priceLoot(loot) {
+  const [items, latest] = await Promise.all([fetchItemMapping(), fetchLatestPrices()]);
+  const byName = new Map(items.map(i => [i.name.toLowerCase(), i]));
+
+  const priced = Object.entries(loot).map(([item, quantity]) => {
+    const key = item.toLowerCase();
+
+    if (FIXED_VALUES[key] !== undefined) {
+      const price = FIXED_VALUES[key];
+      return { item, quantity, price, value: price * quantity, tradeable: true };
+    }
+
+    const mapping = byName.get(key);
+    if (!mapping) {
+      return { item, quantity, price: null, value: 0, tradeable: false };
+    }
+
+    const price = getItemValue(latest[mapping.id]);
+    if (price === null) {
+      return { item, quantity, price: null, value: 0, tradeable: true };
+    }
+
+    return { item, quantity, price, value: price * quantity, tradeable: true };
+  });
+
+  const total = priced.reduce((sum, p) => sum + p.value, 0);
+
+  return {
+    items: priced,
+    total,
+    untradeable: priced.filter(p => !p.tradeable).map(p => p.item),
+    unpriced: priced.filter(p => p.tradeable && p.price === null).map(p => p.item),
+  };
+}
+
+// Compact gp formatting (e.g. 1.2K, 3.45M, 1.1B)
+export function formatGp(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (abs >= 1e4) return `${(value / 1e3).toFixed(1)}K`;
+  return Math.round(value).toLocaleString();
+}
@@ -0,0 +1,277 @@
+import { createRng, randomSeed, randomInt } from './rng.js';
+
+// Raid chest loot simulator (Chambers of Xeric, Theatre of Blood, Tombs of Amascut)
+//
+// Raids don't roll per-kill tables: the team's points (CoX, ToA) or deaths
+// (ToB) set the chance of a purple, the purple is weighted to a team member
+// by their share of points, and everyone else gets regular chest loot.
+// Weights and rates follow the OSRS Wiki.
+
+// Regular loot entry: quantity is personal points / divisor (capped), or a fixed range
+function pointsLoot(item, divisor, max) {
+  return { item, divisor, max };
+}
+
+function fixedLoot(item, min, max = min) {
+  return { item, min, max };
+}
+
+const RAIDS = {
+  cox: {
+    name: 'Chambers of Xeric',
+    maxTeamSize: 100,
+    defaultPoints: 30000, // Per player
+    purples: [
+      ['Dexterous prayer scroll', 20],
+      ['Arcane prayer scroll', 20],
+      ['Twisted buckler', 4],
+      ['Dragon hunter crossbow', 4],
+      ["Dinh's bulwark", 3],
+      ['Ancestral hat', 3],
+      ['Ancestral robe top', 3],
+      ['Ancestral robe bottom', 3],
+      ['Dragon claws', 3],
+      ['Elder maul', 2],
+      ['Kodai insignia', 2],
+      ['Twisted bow', 2],
+    ],
+    // 1% per 8,676 team points, counting at most 570,000 points
+    uniqueChance: ({ teamPoints }) => Math.min(teamPoints, 570000) / 867600,
+    regularRolls: 2,
+    regularLoot: [
+      pointsLoot('Death rune', 36, 3640),
+      pointsLoot('Blood rune', 32, 4095),
+      pointsLoot('Soul rune', 20, 6554),
+      pointsLoot('Rune arrow', 14, 9362),
+      pointsLoot('Dragon arrow', 202, 648),
+      pointsLoot('Grimy toadflax', 677, 193),
+      pointsLoot('Grimy ranarr weed', 463, 282),
+      pointsLoot('Grimy irit leaf', 99, 1324),
+      pointsLoot('Grimy avantoe', 220, 595),
+      pointsLoot('Grimy kwuarm', 170, 771),
+      pointsLoot('Grimy snapdragon', 554, 236),
+      pointsLoot('Grimy cadantine', 213, 615),
+      pointsLoot('Grimy lantadyme', 142, 923),
+      pointsLoot('Grimy dwarf weed', 85, 1541),
+      pointsLoot('Grimy torstol', 344, 381),
+      pointsLoot('Silver ore', 20, 6553),
+      pointsLoot('Coal', 20, 6553),
+      pointsLoot('Gold ore', 44, 2978),
+      pointsLoot('Mithril ore', 32, 4095),
+      pointsLoot('Adamantite ore', 167, 784),
+      pointsLoot('Runite ore', 2000, 65),
+      pointsLoot('Uncut sapphire', 189, 693),
+      pointsLoot('Uncut emerald', 286, 458),
+      pointsLoot('Uncut ruby', 295, 444),
+      pointsLoot('Uncut diamond', 667, 196),
+      pointsLoot('Lizardman fang', 28, 4681),
+      pointsLoot('Pure essence', 2, 65535),
+      pointsLoot('Saltpetre', 25, 5242),
+      pointsLoot('Teak plank', 100, 1310),
+      pointsLoot('Mahogany plank', 240, 546),
+      pointsLoot('Dynamite', 27, 4854),
+    ],
+    // Olmlet is rolled by whoever receives a purple
+    pet: { item: 'Olmlet', chance: 1 / 53, onPurple: true },
+  },
+  tob: {
+    name: 'Theatre of Blood',
+    maxTeamSize: 5,
+    purples: [
+      ['Avernic defender hilt', 8],
+      ['Ghrazi rapier', 2],
+      ['Sanguinesti staff (uncharged)', 2],
+      ['Justiciar faceguard', 2],
+      ['Justiciar chestguard', 2],
+      ['Justiciar legguards', 2],
+      ['Scythe of vitur (uncharged)', 1],
+    ],
+    // 1/9.1 for a deathless raid, reduced by the share of team points lost to deaths
+    uniqueChance: ({ teamPoints, maxTeamPoints }) => (1 / 9.1) * (teamPoints / maxTeamPoints),
+    regularRolls: 3,
+    regularLoot: [
+      fixedLoot('Vial of blood', 50, 60),
+      fixedLoot('Death rune', 500, 600),
+      fixedLoot('Blood rune', 500, 600),
+      fixedLoot('Swamp tar', 500, 600),
+      fixedLoot('Coal', 500, 600),
+      fixedLoot('Gold ore', 300, 360),
+      fixedLoot('Molten glass', 200, 240),
+      fixedLoot('Adamantite ore', 130, 156),
+      fixedLoot('Runite ore', 60, 72),
+      fixedLoot('Wine of zamorak', 50, 60),
+      fixedLoot('Potato cactus', 50, 60),
+      fixedLoot('Grimy cadantine', 50, 60),
+      fixedLoot('Grimy avantoe', 40, 48),
+      fixedLoot('Grimy toadflax', 37, 44),
+      fixedLoot('Grimy kwuarm', 36, 43),
+      fixedLoot('Grimy irit leaf', 34, 40),
+      fixedLoot('Grimy ranarr weed', 30, 36),
+      fixedLoot('Grimy snapdragon', 27, 32),
+      fixedLoot('Grimy lantadyme', 26, 31),
+      fixedLoot('Grimy dwarf weed', 24, 28),
+      fixedLoot('Grimy torstol', 20, 24),
+      fixedLoot('Battlestaff', 15, 18),
+      fixedLoot('Rune battleaxe', 4),
+      fixedLoot('Rune platebody', 4),
+      fixedLoot('Rune chainbody', 4),
+      fixedLoot('Palm tree seed', 3),
+      fixedLoot('Yew seed', 3),
+      fixedLoot('Magic seed', 3),
+      fixedLoot('Mahogany seed', 10, 12),
+    ],
+    // Lil' zik goes to a random team member
+    pet: { item: "Lil' zik", chance: 1 / 650, onPurple: false },
+  },
+  toa: {
+    name: 'Tombs of Amascut',
+    maxTeamSize: 8,
+    defaultPoints: 15000, // Per player
+    purples: [
+      ['Lightbearer', 7],
+      ["Osmumten's fang", 7],
+      ["Elidinis' ward", 3],
+      ['Masori mask', 2],
+      ['Masori body', 2],
+      ['Masori chaps', 2],
+      ["Tumeken's shadow (uncharged)", 1],
+    ],
+    // points / (100 × (10,500 − 20 × effective raid level)), capped at 55%;
+    // raid levels past 400 count a third as much
+    uniqueChance: ({ teamPoints, raidLevel }) => {
+      const effectiveLevel = Math.min(raidLevel, 400) + Math.max(raidLevel - 400, 0) / 3;
+      return Math.min(0.55, teamPoints / (100 * (10500 - 20 * effectiveLevel)));
+    },
+    // Below raid level 50 everything except fang and lightbearer is 50x rarer
+    purpleWeight: (item, weight, { raidLevel }) =>
+      raidLevel < 50 && !['Lightbearer', "Osmumten's fang"].includes(item) ? weight / 50 : weight,
+    regularRolls: 3,
+    regularLoot: [
+      pointsLoot('Coins', 1, 300000),
+      pointsLoot('Death rune', 20, 3000),
+      pointsLoot('Soul rune', 40, 1500),
+      pointsLoot('Gold ore', 90, 700),
+      pointsLoot('Dragonstone', 1500, 40),
+      pointsLoot('Raw shark', 250, 250),
+      pointsLoot('Blood essence', 5000, 10),
+      pointsLoot('Cactus spine', 600, 100),
+      pointsLoot('Grimy ranarr weed', 300, 200),
+      pointsLoot('Grimy torstol', 350, 180),
+      pointsLoot('Battlestaff', 1000, 60),
+      pointsLoot('Rune battleaxe', 4000, 15),
+    ],
+    pet: { item: "Tumeken's guardian", chance: 1 / 30, onPurple: true },
+  },
+};
+
+// Command choices for the supported raids
+export const RAID_CHOICES = Object.entries(RAIDS).map(([value, raid]) => ({ name: raid.name, value }));
+
+const TOB_POINTS_PER_PLAYER = 18; // Deathless points per player
+const TOB_DEATH_PENALTY = 4;
+
+/**
+ * Simulate `count` raids for a team and return the purples (with who got
+ * them) and the regular loot received by "you" (player 1).
+ * options: { teamSize, points (per player, CoX/ToA), deaths (yours per raid, ToB),
+ *            raidLevel (ToA), seed }
+ */
+export function simulateRaids(raidKey, count, options = {}) {
+  const raid = RAIDS[raidKey];
+  if (!raid) {
+    return { error: `Unknown raid: "${raidKey}"` };
+  }
+
+  const seed = options.seed ?? randomSeed();
+  const rng = createRng(seed);
+  const teamSize = options.teamSize || 1;
+  if (teamSize > raid.maxTeamSize) {
+    return { error: `${raid.name} teams can have at most ${raid.maxTeamSize} players` };
+  }
+  const raidLevel = options.raidLevel ?? 300;
+
+  // Points for each team member; you are player 0
+  let playerPoints;
+  let maxTeamPoints;
+  if (raidKey === 'tob') {
+    const yourPoints = Math.max(0, TOB_POINTS_PER_PLAYER - (options.deaths || 0) * TOB_DEATH_PENALTY);
+    playerPoints = [yourPoints, ...Array(teamSize - 1).fill(TOB_POINTS_PER_PLAYER)];
+    maxTeamPoints = TOB_POINTS_PER_PLAYER * teamSize;
+  } else {
+    playerPoints = Array(teamSize).fill(options.points || raid.defaultPoints);
+  }
+  const teamPoints = playerPoints.reduce((sum, p) => sum + p, 0);
+
+  const context = { teamPoints, maxTeamPoints, raidLevel };
+  const uniqueChance = raid.uniqueChance(context);
+  const purpleTable = raid.purples.map(([item, weight]) => ({
+    item,
+    weight: raid.purpleWeight ? raid.purpleWeight(item, weight, context) : weight,
+  }));
+
+  const purples = [];
+  const loot = {};
+
+  for (let raidNumber = 1; raidNumber <= count; raidNumber++) {
+    let purpleRecipient = null;
+
+    if (rng() < uniqueChance) {
+      const item = pickWeighted(rng, purpleTable).item;
+      purpleRecipient = pickWeighted(rng, playerPoints.map((weight, player) => ({ player, weight }))).player;
+      purples.push({ raidNumber, item, player: purpleRecipient });
+      if (purpleRecipient === 0) {
+        addToLoot(loot, item, 1);
+      }
+    }
+
+    // Pets go to the purple recipient, or anyone on the team
+    if (raid.pet && (!raid.pet.onPurple || purpleRecipient !== null) && rng() < raid.pet.chance) {
+      const petOwner = raid.pet.onPurple ? purpleRecipient : randomInt(rng, 0, teamSize - 1);
+      purples.push({ raidNumber, item: raid.pet.item, player: petOwner, pet: true });
+      if (petOwner === 0) {
+        addToLoot(loot, raid.pet.item, 1);
+      }
+    }
+
+    // Whoever gets a purple doesn't get regular loot
+    if (purpleRecipient !== 0) {
+      for (let roll = 0; roll < raid.regularRolls; roll++) {
+        const entry = raid.regularLoot[Math.floor(rng() * raid.regularLoot.length)];
+        addToLoot(loot, entry.item, regularQuantity(rng, entry, playerPoints[0]));
+      }
+    }
+  }
+
+  return {
+    raidName: raid.name,
+    count,
+    seed,
+    teamSize,
+    playerPoints: playerPoints[0],
+    raidLevel: raidKey === 'toa' ? raidLevel : null,
+    uniqueChance,
+    purples,
+    loot,
+  };
+}
+
+function regularQuantity(rng, entry, points) {
+  if (entry.divisor) {
+    return Math.max(1, Math.min(entry.max, Math.floor(points / entry.divisor)));
+  }
+  return randomInt(rng, entry.min, entry.max);
+}
+
+function pickWeighted(rng, entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let random = rng() * total;
+  for (const entry of entries) {
+    random -= entry.weight;
+    if (random <= 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+function addToLoot(loot, item, quantity) {
+  loot[item] = (loot[item] || 0) + quantity;
+}
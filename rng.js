@@ -0,0 +1,31 @@
+// Seeded pseudo-random number generation for reproducible simulations
+
+// Largest seed accepted by createRng (seeds are unsigned 32-bit integers)
+export const MAX_SEED = 0xffffffff;
+
+// Generate a fresh seed when the user doesn't provide one
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Create a seeded PRNG (mulberry32). The returned function behaves like
+ * Math.random(), returning a float in [0, 1), and replays the exact same
+ * sequence for the same seed.
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random integer in [min, max] (inclusive) using the given generator
+export function randomInt(rng, min, max) {
+  return Math.floor(rng() * (max - min + 1)) + min;
+}
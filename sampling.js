@@ -0,0 +1,134 @@
+// Random variate sampling on top of a seeded generator (see rng.js)
+
+/**
+ * Number of successes in n independent trials with success chance p.
+ * Small expected counts use geometric waiting times; large ones use
+ * Hormann's BTRS transformed rejection, so the cost doesn't grow with n.
+ */
+export function sampleBinomial(rng, n, p) {
+  if (n <= 0 || p <= 0) return 0;
+  if (p >= 1) return n;
+  if (p > 0.5) return n - sampleBinomial(rng, n, 1 - p);
+
+  if (n * p < 30) {
+    // Count how many geometric gaps fit inside n trials
+    const logQ = Math.log(1 - p);
+    let successes = 0;
+    let position = 0;
+    while (true) {
+      position += Math.ceil(Math.log(1 - rng()) / logQ) || 1;
+      if (position > n) return successes;
+      successes++;
+    }
+  }
+
+  return sampleBinomialBtrs(rng, n, p);
+}
+
+function sampleBinomialBtrs(rng, n, p) {
+  const q = 1 - p;
+  const spq = Math.sqrt(n * p * q);
+  const b = 1.15 + 2.53 * spq;
+  const a = -0.0873 + 0.0248 * b + 0.01 * p;
+  const c = n * p + 0.5;
+  const vr = 0.92 - 4.2 / b;
+  const alpha = (2.83 + 5.1 / b) * spq;
+  const lpq = Math.log(p / q);
+  const m = Math.floor((n + 1) * p);
+  const h = logFactorial(m) + logFactorial(n - m);
+
+  while (true) {
+    const u = rng() - 0.5;
+    let v = rng();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + c);
+    if (k < 0 || k > n) continue;
+    if (us >= 0.07 && v <= vr) return k;
+
+    v = Math.log(v * alpha / (a / (us * us) + b));
+    if (v <= h - logFactorial(k) - logFactorial(n - k) + (k - m) * lpq) return k;
+  }
+}
+
+/**
+ * Split n trials across outcomes with the given relative weights, returning
+ * a count per outcome. Uses conditional binomials, so it is exact.
+ */
+export function sampleMultinomial(rng, n, weights) {
+  let remainingTrials = n;
+  let remainingWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  return weights.map(weight => {
+    if (remainingTrials === 0 || remainingWeight <= 0) return 0;
+    const count = weight >= remainingWeight
+      ? remainingTrials
+      : sampleBinomial(rng, remainingTrials, weight / remainingWeight);
+    remainingTrials -= count;
+    remainingWeight -= weight;
+    return count;
+  });
+}
+
+// Standard normal variate (Box-Muller)
+export function sampleNormal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Total quantity from `count` drops of one item, where each drop picks one of
+ * quantity.ranges (if any) and is uniform within it, or over [min, max]. Large
+ * counts use the normal approximation of the sum (exact mean and variance),
+ * clamped to its range.
+ */
+export function sampleQuantityTotal(rng, quantity, count) {
+  if (count <= 0) return 0;
+
+  if (quantity.ranges) {
+    const counts = sampleMultinomial(rng, count, quantity.ranges.map(() => 1));
+    return counts.reduce((sum, c, i) => sum + sampleQuantityTotal(rng, quantity.ranges[i], c), 0);
+  }
+
+  if (quantity.min === quantity.max) return quantity.min * count;
+
+  const width = quantity.max - quantity.min + 1;
+  if (count <= 50) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      total += quantity.min + Math.floor(rng() * width);
+    }
+    return total;
+  }
+
+  const mean = count * (quantity.min + quantity.max) / 2;
+  const sd = Math.sqrt(count * (width * width - 1) / 12);
+  const total = Math.round(mean + sd * sampleNormal(rng));
+  return Math.min(count * quantity.max, Math.max(count * quantity.min, total));
+}
+
+/**
+ * k distinct integers drawn uniformly from 1..n, in ascending order
+ * (Floyd's algorithm, O(k) regardless of n).
+ */
+export function samplePositions(rng, k, n) {
+  const chosen = new Set();
+  for (let j = n - k + 1; j <= n; j++) {
+    const t = 1 + Math.floor(rng() * j);
+    chosen.add(chosen.has(t) ? j : t);
+  }
+  return [...chosen].sort((a, b) => a - b);
+}
+
+// log(n!) via Stirling's series, exact table for small n
+const LOG_FACTORIALS = [0];
+for (let i = 1; i < 256; i++) {
+  LOG_FACTORIALS[i] = LOG_FACTORIALS[i - 1] + Math.log(i);
+}
+
+function logFactorial(n) {
+  if (n < LOG_FACTORIALS.length) return LOG_FACTORIALS[n];
+  const x = n + 1;
+  return (x - 0.5) * Math.log(x) - x + 0.5 * Math.log(2 * Math.PI) +
+    1 / (12 * x) - 1 / (360 * x * x * x);
+}
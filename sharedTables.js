@@ -0,0 +1,187 @@
+// Shared drop tables that many monsters roll into (rare drop table, gems, herbs, seeds)
+//
+// Weights follow the OSRS Wiki and are out of each table's total. An entry
+// with a `table` key rolls again on that shared table instead of dropping an
+// item, so tables form a tree (e.g. rare drop table -> gem table -> mega-rare).
+
+function line(item, quantity, weight) {
+  const [min, max] = Array.isArray(quantity) ? quantity : [quantity, quantity];
+  return { item, quantity: { min, max }, weight };
+}
+
+function subtable(table, weight) {
+  return { table, quantity: { min: 1, max: 1 }, weight };
+}
+
+const TABLE_DEFINITIONS = {
+  rare: {
+    name: 'Rare drop table',
+    entries: [
+      line('Nature rune', 67, 3),
+      line('Law rune', 45, 2),
+      line('Death rune', 45, 2),
+      line('Steel arrow', 150, 2),
+      line('Rune arrow', 42, 2),
+      line('Rune javelin', 5, 5),
+      line('Rune 2h sword', 1, 2),
+      line('Rune battleaxe', 1, 2),
+      line('Rune sq shield', 1, 2),
+      line('Dragon med helm', 1, 1),
+      line('Rune kiteshield', 1, 1),
+      line('Coins', 3000, 21),
+      line('Loop half of key', 1, 20),
+      line('Tooth half of key', 1, 19),
+      line('Runite bar', 1, 5),
+      line('Dragonstone', 1, 2),
+      line('Silver ore', 100, 2),
+      subtable('gem', 20),
+      subtable('megaRare', 15),
+    ],
+  },
+  gem: {
+    name: 'Gem drop table',
+    entries: [
+      line('Nothing', 1, 60),
+      line('Uncut sapphire', 1, 32),
+      line('Uncut emerald', 1, 16),
+      line('Uncut ruby', 1, 8),
+      line('Chaos talisman', 1, 3),
+      line('Nature talisman', 1, 3),
+      line('Uncut diamond', 1, 2),
+      line('Rune javelin', 5, 1),
+      line('Loop half of key', 1, 1),
+      line('Tooth half of key', 1, 1),
+      subtable('megaRare', 1),
+    ],
+  },
+  megaRare: {
+    name: 'Mega-rare drop table',
+    entries: [
+      line('Nothing', 1, 113),
+      line('Rune spear', 1, 8),
+      line('Shield left half', 1, 4),
+      line('Dragon spear', 1, 3),
+    ],
+  },
+  herb: {
+    name: 'Herb drop table',
+    entries: [
+      line('Grimy guam leaf', 1, 32),
+      line('Grimy marrentill', 1, 24),
+      line('Grimy tarromin', 1, 18),
+      line('Grimy harralander', 1, 14),
+      line('Grimy ranarr weed', 1, 11),
+      line('Grimy irit leaf', 1, 8),
+      line('Grimy avantoe', 1, 6),
+      line('Grimy kwuarm', 1, 5),
+      line('Grimy cadantine', 1, 4),
+      line('Grimy lantadyme', 1, 3),
+      line('Grimy dwarf weed', 1, 3),
+    ],
+  },
+  allotmentSeed: {
+    name: 'Allotment seed drop table',
+    entries: [
+      line('Potato seed', 4, 32),
+      line('Onion seed', 4, 24),
+      line('Cabbage seed', 4, 20),
+      line('Tomato seed', 3, 16),
+      line('Sweetcorn seed', 3, 12),
+      line('Strawberry seed', 2, 10),
+      line('Watermelon seed', 2, 8),
+      line('Snape grass seed', 2, 6),
+    ],
+  },
+  rareSeed: {
+    name: 'Rare seed drop table',
+    entries: [
+      line('Toadflax seed', 1, 18),
+      line('Irit seed', 1, 18),
+      line('Belladonna seed', 1, 16),
+      line('Avantoe seed', 1, 14),
+      line('Poison ivy seed', 1, 14),
+      line('Cactus seed', 1, 12),
+      line('Kwuarm seed', 1, 10),
+      line('Ranarr seed', 1, 8),
+      line('Snapdragon seed', 1, 6),
+      line('Lantadyme seed', 1, 5),
+      line('Dwarf weed seed', 1, 4),
+      line('Torstol seed', 1, 3),
+    ],
+  },
+  treeHerbSeed: {
+    name: 'Tree-herb seed drop table',
+    entries: [
+      line('Ranarr seed', 1, 15),
+      line('Snapdragon seed', 1, 14),
+      line('Torstol seed', 1, 11),
+      line('Watermelon seed', 15, 21),
+      line('Willow seed', 1, 18),
+      line('Mahogany seed', 1, 14),
+      line('Maple seed', 1, 13),
+      line('Teak seed', 1, 14),
+      line('Yew seed', 1, 8),
+    ],
+  },
+};
+
+// Wiki template names (normalized) that insert each shared table
+const TEMPLATE_PATTERNS = [
+  [/^raredroptable/, 'rare'],
+  [/^gemdroptable/, 'gem'],
+  [/^megararedroptable/, 'megaRare'],
+  [/herbdrop/, 'herb'],
+  [/^allotmentseed/, 'allotmentSeed'],
+  [/^rareseed/, 'rareSeed'],
+  [/^treeherbseed/, 'treeHerbSeed'],
+];
+
+let sharedTables = null;
+
+/**
+ * Build the shared tables once, converting weights into the same drop entry
+ * shape the simulator uses for monster tables ({ item, quantity, rarity, rarityText }).
+ * Each table also gets a ring of wealth variant under "<key>:row".
+ */
+export function loadSharedTables() {
+  if (sharedTables) return sharedTables;
+
+  sharedTables = {};
+  for (const [key, definition] of Object.entries(TABLE_DEFINITIONS)) {
+    sharedTables[key] = buildTable(definition.name, definition.entries);
+
+    // Ring of wealth variant: "Nothing" results are removed and nested tables use their variants too
+    sharedTables[`${key}:row`] = buildTable(
+      definition.name,
+      definition.entries
+        .filter(entry => entry.item !== 'Nothing')
+        .map(entry => entry.table ? { ...entry, table: `${entry.table}:row` } : entry)
+    );
+  }
+
+  return sharedTables;
+}
+
+function buildTable(name, entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+  return {
+    name,
+    entries: entries.map(({ weight, ...entry }) => ({
+      ...entry,
+      item: entry.item || TABLE_DEFINITIONS[entry.table.replace(/:row$/, '')].name,
+      rarity: total / weight,
+      rarityText: `${weight}/${total}`,
+    })),
+  };
+}
+
+export function getSharedTable(key) {
+  return loadSharedTables()[key] || null;
+}
+
+// Shared table key for a wiki template name (normalized), or null
+export function sharedTableForTemplate(templateName) {
+  const match = TEMPLATE_PATTERNS.find(([pattern]) => pattern.test(templateName));
+  return match ? match[1] : null;
+}
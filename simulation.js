@@ -0,0 +1,264 @@
+import { randomInt } from './rng.js';
+import { getSharedTable } from './sharedTables.js';
+import { sampleBinomial, sampleMultinomial, sampleQuantityTotal, samplePositions } from './sampling.js';
+
+// Kill simulation over parsed drop data. Kept free of I/O so it can run
+// inside the simulation worker threads as well as on the main thread.
+
+// Tertiary drops at least this rare are tracked as unique drops (pets, jars, ...)
+const RARE_TERTIARY_RARITY = 1000;
+
+// Whether a tertiary drop is tracked like a unique: a rare item rather than a shared table
+export function isTrackedTertiary(drop) {
+  return !drop.table && drop.rarity >= RARE_TERTIARY_RARITY;
+}
+
+/**
+ * Roll killCount kills of dropData with rng. Returns
+ * { monsterName, killCount, seed, loot, uniqueDrops }.
+ */
+export function runSimulation(dropData, killCount, rng, seed) {
+  const loot = {};
+  const uniqueDrops = [];
+  
+  console.log(`Simulating ${killCount} kills of ${dropData.name}`);
+  
+  // Use optimized simulation for large kill counts
+  if (killCount > 1000) {
+    return runOptimizedSimulation(dropData, killCount, loot, uniqueDrops, rng, seed);
+  }
+  
+  for (let i = 0; i < killCount; i++) {
+    const killNumber = i + 1;
+    
+    // Always drops (100%)
+    dropData.always.forEach(drop => {
+      const qty = getRandomQuantity(rng, drop.quantity);
+      addToLoot(loot, drop.item, qty);
+    });
+    
+    // Main drop table (dynamic number of rolls)
+    const rollCount = dropData.mainTableRolls || 1;
+    for (let roll = 0; roll < rollCount; roll++) {
+      // Pick one drop from main table based on weights
+      // Slots pointing at shared tables roll through them to an item
+      const mainDrop = resolveDrop(rng, selectWeightedDrop(rng, dropData.main));
+      if (mainDrop) {
+        const qty = getRandomQuantity(rng, mainDrop.quantity);
+        addToLoot(loot, mainDrop.item, qty);
+      }
+    }
+    
+    // Unique drops (dynamic rate based on monster)
+    if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
+      if (rng() < dropData.uniqueTableChance) {
+        // Equal chance for each unique
+        const uniqueDrop = dropData.uniques[Math.floor(rng() * dropData.uniques.length)];
+        if (uniqueDrop) {
+          const qty = getRandomQuantity(rng, uniqueDrop.quantity);
+          addToLoot(loot, uniqueDrop.item, qty);
+          uniqueDrops.push({
+            item: uniqueDrop.item,
+            killNumber: killNumber,
+            rarity: uniqueDrop.rarityText
+          });
+        }
+      }
+    } else {
+      // Handle individual unique drops with their own rates
+      dropData.uniques.forEach(uniqueDrop => {
+        if (rng() < 1/uniqueDrop.rarity) {
+          const qty = getRandomQuantity(rng, uniqueDrop.quantity);
+          addToLoot(loot, uniqueDrop.item, qty);
+          uniqueDrops.push({
+            item: uniqueDrop.item,
+            killNumber: killNumber,
+            rarity: uniqueDrop.rarityText
+          });
+        }
+      });
+    }
+    
+    // Tertiary drops (independent rolls)
+    dropData.tertiary.forEach(tertiaryDrop => {
+      if (rng() < 1/tertiaryDrop.rarity) {
+        // Slots pointing at an unknown shared table roll nothing, as on the main table
+        const drop = resolveDrop(rng, tertiaryDrop);
+        if (!drop) return;
+        
+        const qty = getRandomQuantity(rng, drop.quantity);
+        addToLoot(loot, drop.item, qty);
+        
+        // Track rare tertiary drops
+        if (isTrackedTertiary(tertiaryDrop)) {
+          uniqueDrops.push({
+            item: drop.item,
+            killNumber: killNumber,
+            rarity: tertiaryDrop.rarityText
+          });
+        }
+      }
+    });
+  }
+  
+  return {
+    monsterName: dropData.name,
+    killCount,
+    seed,
+    loot,
+    uniqueDrops
+  };
+}
+
+/**
+ * Large kill counts sample totals directly instead of looping per kill:
+ * binomial counts for independent rolls, multinomial splits for weighted
+ * tables (recursing into shared tables) and summed quantity distributions.
+ * Results have the same distribution as runSimulation, including which kills
+ * unique drops land on.
+ */
+function runOptimizedSimulation(dropData, killCount, loot, uniqueDrops, rng, seed) {
+  console.log(`Using optimized simulation for ${killCount} kills`);
+  
+  // Always drops - these happen every kill
+  dropData.always.forEach(drop => {
+    addToLoot(loot, drop.item, sampleQuantityTotal(rng, drop.quantity, killCount));
+  });
+  
+  // Main drop table - every roll picks exactly one entry
+  const rollCount = dropData.mainTableRolls || 1;
+  addTableCounts(rng, loot, dropData.main, killCount * rollCount);
+  
+  // Unique drops - sample how many kills hit, then which kills they were
+  if (dropData.uniqueTableChance && dropData.uniques.length > 0) {
+    const hits = sampleBinomial(rng, killCount, dropData.uniqueTableChance);
+    samplePositions(rng, hits, killCount).forEach(killNumber => {
+      const uniqueDrop = dropData.uniques[Math.floor(rng() * dropData.uniques.length)];
+      addToLoot(loot, uniqueDrop.item, getRandomQuantity(rng, uniqueDrop.quantity));
+      uniqueDrops.push({
+        item: uniqueDrop.item,
+        killNumber: killNumber,
+        rarity: uniqueDrop.rarityText
+      });
+    });
+  } else {
+    // Handle individual unique drops with their own rates
+    dropData.uniques.forEach(uniqueDrop => {
+      const hits = sampleBinomial(rng, killCount, 1 / uniqueDrop.rarity);
+      samplePositions(rng, hits, killCount).forEach(killNumber => {
+        addToLoot(loot, uniqueDrop.item, getRandomQuantity(rng, uniqueDrop.quantity));
+        uniqueDrops.push({
+          item: uniqueDrop.item,
+          killNumber: killNumber,
+          rarity: uniqueDrop.rarityText
+        });
+      });
+    });
+  }
+  
+  // Tertiary drops (independent rolls)
+  dropData.tertiary.forEach(drop => {
+    const hits = sampleBinomial(rng, killCount, 1 / drop.rarity);
+    
+    if (drop.table) {
+      addTableCounts(rng, loot, [drop], hits);
+    } else if (isTrackedTertiary(drop)) {
+      // Track rare tertiary drops as unique drops
+      samplePositions(rng, hits, killCount).forEach(killNumber => {
+        addToLoot(loot, drop.item, getRandomQuantity(rng, drop.quantity));
+        uniqueDrops.push({
+          item: drop.item,
+          killNumber: killNumber,
+          rarity: drop.rarityText
+        });
+      });
+    } else {
+      addToLoot(loot, drop.item, sampleQuantityTotal(rng, drop.quantity, hits));
+    }
+  });
+  
+  // Different uniques are sampled separately, so restore kill order
+  uniqueDrops.sort((a, b) => a.killNumber - b.killNumber);
+  
+  return {
+    monsterName: dropData.name,
+    killCount,
+    seed,
+    loot,
+    uniqueDrops
+  };
+}
+
+// Split a number of rolls across a weighted table, recursing into shared tables
+function addTableCounts(rng, loot, drops, rolls) {
+  if (rolls <= 0 || drops.length === 0) return;
+  
+  const counts = sampleMultinomial(rng, rolls, drops.map(getDropWeight));
+  drops.forEach((drop, i) => {
+    if (counts[i] === 0) return;
+    if (drop.table) {
+      const table = getSharedTable(drop.table);
+      if (table) {
+        addTableCounts(rng, loot, table.entries, counts[i]);
+      }
+    } else {
+      addToLoot(loot, drop.item, sampleQuantityTotal(rng, drop.quantity, counts[i]));
+    }
+  });
+}
+
+function getRandomQuantity(rng, quantity) {
+  if (quantity.ranges) {
+    return getRandomQuantity(rng, quantity.ranges[Math.floor(rng() * quantity.ranges.length)]);
+  }
+  if (quantity.min === quantity.max) {
+    return quantity.min;
+  }
+  return randomInt(rng, quantity.min, quantity.max);
+}
+
+// Follow a drop through any shared tables it points at until reaching an item
+function resolveDrop(rng, drop) {
+  let current = drop;
+  while (current && current.table) {
+    const table = getSharedTable(current.table);
+    current = table ? selectWeightedDrop(rng, table.entries) : null;
+  }
+  return current;
+}
+
+function addToLoot(loot, item, quantity) {
+  // "Nothing" is a real roll outcome on many tables but isn't loot
+  if (item === 'Nothing') return;
+  loot[item] = (loot[item] || 0) + quantity;
+}
+
+// Relative weight of a drop on a shared table: its per-roll probability
+function getDropWeight(drop) {
+  return 1 / drop.rarity;
+}
+
+function selectWeightedDrop(rng, drops) {
+  if (!drops.length) return null;
+  if (drops.length === 1) return drops[0];
+  
+  const dropsWithWeights = drops.map(drop => ({ drop, weight: getDropWeight(drop) }));
+  
+  // Calculate total weight
+  const totalWeight = dropsWithWeights.reduce((sum, item) => sum + item.weight, 0);
+  
+  if (totalWeight === 0) return drops[0]; // Safety fallback
+  
+  // Select random drop based on weights
+  let random = rng() * totalWeight;
+  
+  for (const item of dropsWithWeights) {
+    random -= item.weight;
+    if (random <= 0) {
+      return item.drop;
+    }
+  }
+  
+  // Should never reach here, but safety fallback
+  return drops[drops.length - 1];
+}
@@ -0,0 +1,19 @@
+import { parentPort } from 'node:worker_threads';
+import { createRng } from './rng.js';
+import { runSimulation } from './simulation.js';
+import { simulateLogCompletion } from './logCompletion.js';
+
+// Worker thread entry for the simulation pool: runs one job per message,
+// either a kill simulation or a collection log completion run
+const JOBS = {
+  kills: ({ dropData, killCount, seed }) => runSimulation(dropData, killCount, createRng(seed), seed),
+  completion: ({ dropData, options }) => simulateLogCompletion(dropData, options),
+};
+
+parentPort.on('message', ({ type, ...task }) => {
+  try {
+    parentPort.postMessage({ result: JOBS[type](task) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
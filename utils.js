@@ -3,16 +3,29 @@ import 'dotenv/config';
 export async function DiscordRequest(endpoint, options) {
   // append endpoint to root API URL
   const url = 'https://discord.com/api/v10/' + endpoint;
-  // Stringify payloads
-  if (options.body) options.body = JSON.stringify(options.body);
+  const headers = {
+    Authorization: `Bot ${process.env.DISCORD_TOKEN}`,
+    'User-Agent': 'DiscordBot (https://github.com/discord/discord-example-app, 1.0.0)',
+  };
+  const { files, ...requestOptions } = options;
+  if (files) {
+    // Attachments are sent as multipart form data, with the JSON payload in payload_json
+    // (fetch sets the multipart Content-Type and boundary itself)
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(requestOptions.body || {}));
+    files.forEach((file, i) => {
+      form.append(`files[${i}]`, new Blob([file.data], { type: file.contentType }), file.name);
+    });
+    requestOptions.body = form;
+  } else {
+    // Stringify payloads
+    if (requestOptions.body) requestOptions.body = JSON.stringify(requestOptions.body);
+    headers['Content-Type'] = 'application/json; charset=UTF-8';
+  }
   // Use fetch to make requests
   const res = await fetch(url, {
-    headers: {
-      Authorization: `Bot ${process.env.DISCORD_TOKEN}`,
-      'Content-Type': 'application/json; charset=UTF-8',
-      'User-Agent': 'DiscordBot (https://github.com/discord/discord-example-app, 1.0.0)',
-    },
-    ...options
+    headers,
+    ...requestOptions
   });
   // throw API errors
   if (!res.ok) {
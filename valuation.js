@@ -0,0 +1,156 @@
+import { resolveItem, getItemById } from './itemIndex.js';
+import { priceLoot } from './prices.js';
+
+// Bulk valuation of pasted item lists: one item per line ("5x Abyssal whip",
+// "Dragon bones x 120", "Coal: 1.5k"), CSV/TSV rows such as RuneLite's bank
+// memory export, RuneLite bank tag exports, and JSON item arrays
+
+const MAX_LINES = 200;
+
+// "5", "1,200", "10k", "1.5m"
+const QUANTITY = '(\\d[\\d,]*(?:\\.\\d+)?[km]?)';
+
+// Tried in order; each yields [name, quantity] from a line
+const LINE_PATTERNS = [
+  // 5x Abyssal whip, 5 x Abyssal whip, 5 Abyssal whip
+  [new RegExp(`^${QUANTITY}\\s*[x×*]?\\s+(.+)$`, 'i'), match => [match[2], match[1]]],
+  // Abyssal whip x5, Dragon bones x 120
+  [new RegExp(`^(.+?)\\s+[x×*]\\s*${QUANTITY}$`, 'i'), match => [match[1], match[2]]],
+  // Abyssal whip: 5, Abyssal whip,5, Abyssal whip = 5
+  [new RegExp(`^(.+?)\\s*[:=,;]\\s*${QUANTITY}$`, 'i'), match => [match[1], match[2]]],
+  // Dragon bones 120
+  [new RegExp(`^(.+?)\\s+${QUANTITY}$`, 'i'), match => [match[1], match[2]]],
+];
+
+function parseQuantity(text) {
+  const value = parseFloat(text.replace(/,/g, ''));
+  const multiplier = { k: 1e3, m: 1e6 }[text.slice(-1).toLowerCase()] || 1;
+  return Math.round(value * multiplier);
+}
+
+// Entries from a JSON export: [{ id|name, quantity|qty }], optionally grouped as [{ drops|items: [...] }]
+function parseJsonList(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(data)) return null;
+
+  const entries = [];
+  for (const entry of data.flatMap(e => e?.drops || e?.items || [e])) {
+    if (!entry || (entry.id === undefined && !entry.name)) continue;
+    entries.push({
+      line: entry.name || String(entry.id),
+      id: entry.id !== undefined ? Number(entry.id) : null,
+      name: entry.name || null,
+      quantity: Number(entry.quantity ?? entry.qty ?? 1),
+    });
+  }
+  return entries;
+}
+
+// One line of text, or null for blank lines and headers
+function parseLine(line) {
+  // Bullets and numbering from chat-pasted lists
+  const text = line.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, '').trim();
+  if (!text) return null;
+
+  // RuneLite bank tag export: banktags,1,<tag>,<icon>,<item ids...>
+  if (text.startsWith('banktags,')) {
+    return text.split(',').slice(4)
+      .map(Number)
+      .filter(id => Number.isInteger(id) && id > 0)
+      .map(id => ({ line: String(id), id, name: null, quantity: 1 }));
+  }
+
+  // Tab-separated rows, e.g. bank memory's "<id>\t<name>\t<quantity>"
+  const cells = text.split('\t').map(cell => cell.trim());
+  if (cells.length >= 3 && /^\d+$/.test(cells[0])) {
+    return [{ line: text, id: Number(cells[0]), name: cells[1], quantity: parseQuantity(cells[2]) || 1 }];
+  }
+  if (cells.length >= 2 && /^item/i.test(cells[0])) return null;
+
+  for (const [pattern, extract] of LINE_PATTERNS) {
+    const match = text.replace(/\t+/g, ' ').match(pattern);
+    if (match) {
+      const [name, quantity] = extract(match);
+      return [{ line: text, id: null, name: name.trim(), quantity: parseQuantity(quantity) }];
+    }
+  }
+  return [{ line: text, id: null, name: text, quantity: 1 }];
+}
+
+/**
+ * Split pasted text into { line, id, name, quantity } entries. Lines may also
+ * be separated by semicolons, since slash command options are single-line.
+ */
+export function parseItemList(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    const entries = parseJsonList(trimmed);
+    if (entries) return entries.slice(0, MAX_LINES);
+  }
+
+  return trimmed.split(/[\r\n;]+/)
+    .slice(0, MAX_LINES)
+    .flatMap(line => parseLine(line) || []);
+}
+
+/**
+ * Value a pasted item list at current GE prices. Each line is resolved with
+ * the same lookup as /itemprice; lines matching nothing, or several items
+ * equally well, are reported back rather than guessed.
+ * Returns { items: [{ item, quantity, price, value, tradeable }] (most
+ * valuable first), total, untradeable, unpriced, unresolved: [{ line, suggestion }] }.
+ */
+export async function valueItemList(text) {
+  const loot = {};
+  const unresolved = [];
+
+  for (const entry of parseItemList(text)) {
+    if (!(entry.quantity > 0)) {
+      unresolved.push({ line: entry.line, suggestion: null });
+      continue;
+    }
+
+    let item = entry.id !== null ? await getItemById(entry.id) : null;
+    if (!item && entry.name) {
+      const resolved = await resolveItem(entry.name);
+      if (resolved.item && !resolved.exact && resolved.candidates.length > 0) {
+        unresolved.push({ line: entry.line, suggestion: resolved.item.name });
+        continue;
+      }
+      item = resolved.item;
+    }
+
+    if (!item) {
+      unresolved.push({ line: entry.line, suggestion: null });
+      continue;
+    }
+    loot[item.name] = (loot[item.name] || 0) + entry.quantity;
+  }
+
+  const valuation = await priceLoot(loot);
+  return {
+    ...valuation,
+    items: valuation.items.sort((a, b) => b.value - a.value),
+    unresolved,
+  };
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV of a valuation: one row per item plus a total row
+export function valuationCsv({ items, total }) {
+  const rows = [
+    ['Item', 'Quantity', 'Price', 'Value'],
+    ...items.map(i => [i.item, i.quantity, i.price ?? '', i.value]),
+    ['Total', '', '', total],
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
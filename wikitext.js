@@ -0,0 +1,209 @@
+// Minimal template-aware wikitext parser for OSRS Wiki drop tables
+
+/**
+ * Parse wikitext into a flat AST of heading and template nodes:
+ *   { type: 'heading', level, title }
+ *   { type: 'template', name, params, args }
+ * params holds named parameters (name=value), args holds positional ones.
+ * Nested templates and links inside parameters are kept intact.
+ */
+export function parseWikitext(text) {
+  const source = text.replace(/<!--[\s\S]*?-->/g, '');
+  const nodes = [];
+  let i = 0;
+  let lineStart = true;
+
+  while (i < source.length) {
+    if (lineStart) {
+      const lineEnd = source.indexOf('\n', i);
+      const line = source.slice(i, lineEnd === -1 ? source.length : lineEnd);
+      const heading = line.match(/^(={2,6})\s*(.+?)\s*\1\s*$/);
+      if (heading) {
+        nodes.push({ type: 'heading', level: heading[1].length, title: cleanValue(heading[2]) });
+        i = lineEnd === -1 ? source.length : lineEnd + 1;
+        continue;
+      }
+    }
+
+    if (source.startsWith('{{', i)) {
+      const end = findClosing(source, i);
+      if (end !== -1) {
+        nodes.push(parseTemplate(source.slice(i + 2, end)));
+        i = end + 2;
+        lineStart = false;
+        continue;
+      }
+    }
+
+    lineStart = source[i] === '\n';
+    i++;
+  }
+
+  return nodes;
+}
+
+/**
+ * Group template nodes under the heading they appear beneath. Returns
+ * [{ heading, level, templates }] in page order; templates before the first
+ * heading go in a section with a null heading.
+ */
+export function groupBySection(nodes) {
+  const sections = [{ heading: null, level: 0, templates: [] }];
+
+  for (const node of nodes) {
+    if (node.type === 'heading') {
+      sections.push({ heading: node.title, level: node.level, templates: [] });
+    } else {
+      sections[sections.length - 1].templates.push(node);
+    }
+  }
+
+  return sections.filter(section => section.templates.length > 0);
+}
+
+/**
+ * Split a section's templates into drop tables bounded by
+ * DropsTableHead/DropsTableBottom. Lines outside any head/bottom pair are
+ * still collected so loosely formatted pages aren't lost.
+ */
+export function extractDropTables(templates) {
+  const tables = [];
+  let current = null;
+
+  for (const template of templates) {
+    const name = normalizeName(template.name);
+
+    if (name === 'dropstablehead') {
+      current = { head: template, lines: [], subtables: [] };
+      tables.push(current);
+    } else if (name === 'dropstablebottom') {
+      current = null;
+    } else {
+      if (!current) {
+        current = { head: null, lines: [], subtables: [] };
+        tables.push(current);
+      }
+      if (name === 'dropsline' || name === 'drop') {
+        current.lines.push(template);
+      } else {
+        current.subtables.push(template);
+      }
+    }
+  }
+
+  return tables.filter(table => table.lines.length > 0 || table.subtables.length > 0);
+}
+
+// Case/space-insensitive template name for comparisons
+export function normalizeName(name) {
+  return name.replace(/[\s_]+/g, '').toLowerCase();
+}
+
+/**
+ * Strip markup from a parameter value: nested templates, refs, HTML tags,
+ * bold/italics and links (keeping their display text).
+ */
+export function cleanValue(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+
+  // Drop nested templates (citations, notes), innermost first
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\{\{[^{}]*\}\}/g, '');
+  } while (text !== previous);
+
+  return text
+    .replace(/<ref[^>]*\/>/gi, '')
+    .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+    .replace(/'{2,}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseTemplate(inner) {
+  const parts = splitTopLevel(inner);
+  const name = parts.shift().trim();
+  const params = {};
+  const args = [];
+
+  for (const part of parts) {
+    const eq = topLevelIndexOf(part, '=');
+    if (eq === -1) {
+      args.push(part.trim());
+    } else {
+      params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim();
+    }
+  }
+
+  return { type: 'template', name, params, args };
+}
+
+// Index of the "}}" closing the template that opens at start, or -1
+function findClosing(source, start) {
+  let depth = 0;
+  let i = start;
+
+  while (i < source.length) {
+    if (source.startsWith('{{', i)) {
+      depth++;
+      i += 2;
+    } else if (source.startsWith('}}', i)) {
+      depth--;
+      if (depth === 0) return i;
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+
+  return -1;
+}
+
+// Split on "|" characters that aren't inside nested templates or links
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      i++;
+    } else if (pair === '}}' || pair === ']]') {
+      depth--;
+      i++;
+    } else if (text[i] === '|' && depth === 0) {
+      parts.push(text.slice(last, i));
+      last = i + 1;
+    }
+  }
+
+  parts.push(text.slice(last));
+  return parts;
+}
+
+function topLevelIndexOf(text, char) {
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      i++;
+    } else if (pair === '}}' || pair === ']]') {
+      depth--;
+      i++;
+    } else if (text[i] === char && depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
@@ -0,0 +1,162 @@
+import { Worker } from 'node:worker_threads';
+
+// Fixed-size pool of worker threads for CPU-heavy jobs, so long simulations
+// don't block the event loop that answers Discord interactions.
+//
+// Jobs wait in a bounded queue when every worker is busy. A job that runs
+// past its timeout, or whose AbortSignal fires, has its worker terminated and
+// replaced, since synchronous work inside a worker can't be interrupted.
+
+// Error whose message is safe to show to users
+function poolError(message, code) {
+  const error = new Error(message);
+  error.userMessage = message;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a pool running workerUrl (a module that answers each message with
+ * { result } or { error }). Options: size (workers), maxQueue (waiting jobs
+ * before new ones are rejected) and timeout (ms per job once started).
+ * Returns { run(task, { signal, timeout }), close() }.
+ */
+export function createWorkerPool(workerUrl, { size = 1, maxQueue = 20, timeout = 30000 } = {}) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let closed = false;
+
+  function spawnWorker() {
+    const worker = new Worker(workerUrl);
+    worker.job = null;
+
+    worker.on('message', ({ result, error }) => {
+      const job = worker.job;
+      if (!job) return;
+      finishJob(worker);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+    });
+
+    worker.on('error', (error) => {
+      worker.lastError = error;
+    });
+
+    // Workers the pool terminates are already gone from the set; anything else crashed
+    worker.on('exit', () => {
+      if (!workers.has(worker)) return;
+      const job = worker.job;
+      replaceWorker(worker);
+      if (job) job.reject(worker.lastError || new Error('Simulation worker exited unexpectedly'));
+    });
+
+    // Idle workers shouldn't keep the process alive on shutdown
+    worker.unref();
+    workers.add(worker);
+    idle.push(worker);
+    return worker;
+  }
+
+  function finishJob(worker) {
+    const job = worker.job;
+    clearTimeout(job.timer);
+    job.cleanup();
+    worker.job = null;
+    idle.push(worker);
+    dispatch();
+  }
+
+  // Stop a worker (busy or broken) and start a fresh one in its place
+  function replaceWorker(worker) {
+    if (worker.job) {
+      clearTimeout(worker.job.timer);
+      worker.job.cleanup();
+      worker.job = null;
+    }
+    workers.delete(worker);
+    const idleIndex = idle.indexOf(worker);
+    if (idleIndex !== -1) idle.splice(idleIndex, 1);
+    worker.terminate().catch(error => console.error('Error terminating worker:', error));
+
+    if (!closed) {
+      spawnWorker();
+      dispatch();
+    }
+  }
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      const job = queue.shift();
+      worker.job = job;
+      job.worker = worker;
+      job.timer = setTimeout(() => {
+        replaceWorker(worker);
+        job.reject(poolError(`Simulation timed out after ${job.timeout / 1000}s. Try a smaller simulation.`, 'TIMEOUT'));
+      }, job.timeout);
+      worker.postMessage(job.task);
+    }
+  }
+
+  function run(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (closed) {
+        reject(poolError('The simulator is shutting down.', 'CLOSED'));
+        return;
+      }
+      if (options.signal?.aborted) {
+        reject(poolError('Simulation cancelled.', 'CANCELLED'));
+        return;
+      }
+      if (queue.length >= maxQueue) {
+        reject(poolError('The simulator is busy right now. Please try again in a moment.', 'QUEUE_FULL'));
+        return;
+      }
+
+      const job = {
+        task,
+        resolve,
+        reject,
+        timeout: options.timeout || timeout,
+        worker: null,
+        timer: null,
+        cleanup: () => options.signal?.removeEventListener('abort', onAbort),
+      };
+
+      // Cancelled jobs leave the queue, or take their worker down with them if already running
+      function onAbort() {
+        if (job.worker) {
+          replaceWorker(job.worker);
+        } else {
+          queue.splice(queue.indexOf(job), 1);
+          job.cleanup();
+        }
+        reject(poolError('Simulation cancelled.', 'CANCELLED'));
+      }
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
+      queue.push(job);
+      dispatch();
+    });
+  }
+
+  // Reject waiting jobs and stop every worker
+  function close() {
+    closed = true;
+    for (const job of queue.splice(0)) {
+      job.cleanup();
+      job.reject(poolError('The simulator is shutting down.', 'CLOSED'));
+    }
+    return Promise.all([...workers].map(worker => worker.terminate()));
+  }
+
+  for (let i = 0; i < size; i++) {
+    spawnWorker();
+  }
+
+  return { run, close };
+}